@@ -0,0 +1,268 @@
+// Аудит доступности (WCAG 2.1): картинки без alt, поля форм без подписи, lang у <html>, пропуски уровней
+// заголовков, пустые ссылки и кнопки, повторяющиеся id и отсутствие ориентиров (landmarks).
+// Подключается к краулеру через crawler.use(new AccessibilityAuditor()) и включается config.auditAccessibility.
+
+// Код проблемы: серьезность и критерий WCAG. Серьезность - как в axe: critical, serious, moderate, minor
+const A11Y_RULES = {
+    image_missing_alt: { severity: 'critical', wcag: '1.1.1' },
+    input_missing_label: { severity: 'critical', wcag: '4.1.2' },
+    empty_button: { severity: 'critical', wcag: '4.1.2' },
+    empty_link: { severity: 'serious', wcag: '2.4.4' },
+    html_missing_lang: { severity: 'serious', wcag: '3.1.1' },
+    heading_level_skipped: { severity: 'moderate', wcag: '1.3.1' },
+    duplicate_id: { severity: 'moderate', wcag: '4.1.1' },
+    main_landmark_missing: { severity: 'moderate', wcag: '1.3.1' },
+    landmark_missing: { severity: 'minor', wcag: '1.3.1' }
+};
+
+const A11Y_SEVERITIES = ['critical', 'serious', 'moderate', 'minor'];
+
+// Поля без видимой подписи по своей природе: кнопки подписаны значением, hidden не виден вовсе
+const UNLABELED_INPUT_TYPES = ['hidden', 'submit', 'button', 'reset', 'image'];
+
+// Ориентиры помимо main: тег или роль
+const LANDMARKS = [
+    { name: 'banner', selector: 'header, [role="banner"]' },
+    { name: 'navigation', selector: 'nav, [role="navigation"]' },
+    { name: 'contentinfo', selector: 'footer, [role="contentinfo"]' }
+];
+
+class AccessibilityAuditor {
+    constructor(options = {}) {
+        this.name = 'accessibility';
+        this.options = {
+            // Больше этого числа одинаковых проблем на странице в отчет не пишем, но считаем все
+            maxIssuesPerCheck: 50,
+            maxSnippetLength: 200,
+            ...options
+        };
+        this.crawler = null;
+        this.pages = new Map();
+    }
+
+    attach(crawler) {
+        this.crawler = crawler;
+        crawler.on('page', page => {
+            if (!this.isEnabled()) return;
+
+            const document = page.getDocument();
+            if (document) {
+                this.pages.set(page.url, this.auditPage(document, page));
+            }
+        });
+    }
+
+    isEnabled() {
+        return Boolean(this.crawler && this.crawler.config.auditAccessibility);
+    }
+
+    reset() {
+        this.pages.clear();
+    }
+
+    exportState() {
+        return Array.from(this.pages.values());
+    }
+
+    restoreState(pages) {
+        this.pages = new Map(pages.map(page => [page.url, page]));
+    }
+
+    // Сводка по сайту в журнал после обхода
+    finish() {
+        const { summary } = this.getResults();
+        this.crawler.log('plugin.accessibilitySummary', summary.totalIssues > 0 ? 'warning' : 'success', {
+            checked: summary.pagesChecked,
+            withIssues: summary.pagesWithIssues,
+            total: summary.totalIssues,
+            ...summary.bySeverity
+        });
+    }
+
+    auditPage(document, page) {
+        const audit = { url: page.url, lang: null, counts: {}, issues: [] };
+        const addIssue = (code, element, detail = null) => {
+            audit.counts[code] = (audit.counts[code] || 0) + 1;
+            if (audit.counts[code] > this.options.maxIssuesPerCheck) return;
+            audit.issues.push({
+                code,
+                ...A11Y_RULES[code],
+                snippet: element ? this.getSnippet(element) : null,
+                detail
+            });
+        };
+
+        const root = document.documentElement;
+        audit.lang = root ? (root.getAttribute('lang') || '').trim() || null : null;
+        if (!audit.lang) {
+            addIssue('html_missing_lang', root);
+        }
+
+        this.checkImages(document, addIssue);
+        this.checkFormFields(document, addIssue);
+        this.checkHeadings(document, addIssue);
+        this.checkLinksAndButtons(document, addIssue);
+        this.checkDuplicateIds(document, addIssue);
+        this.checkLandmarks(document, addIssue);
+
+        audit.issueCount = Object.values(audit.counts).reduce((sum, count) => sum + count, 0);
+        return audit;
+    }
+
+    // alt="" допустим для декоративных картинок, как и role="presentation"; ошибка - нет ни того, ни другого
+    checkImages(document, addIssue) {
+        document.querySelectorAll('img:not([alt]), input[type="image"]:not([alt])').forEach(image => {
+            if (this.isHidden(image)) return;
+            if (['presentation', 'none'].includes((image.getAttribute('role') || '').trim())) return;
+            if (this.getAriaName(image, document)) return;
+            addIssue('image_missing_alt', image);
+        });
+    }
+
+    // Подпись: <label for>, <label> вокруг поля, aria-label, aria-labelledby или title
+    checkFormFields(document, addIssue) {
+        const labelTargets = new Set(Array.from(document.querySelectorAll('label[for]'))
+            .map(label => label.getAttribute('for')));
+
+        document.querySelectorAll('input, select, textarea').forEach(field => {
+            const type = (field.getAttribute('type') || 'text').toLowerCase();
+            if (field.tagName.toLowerCase() === 'input' && UNLABELED_INPUT_TYPES.includes(type)) return;
+            if (this.isHidden(field)) return;
+
+            const id = field.getAttribute('id');
+            if (id && labelTargets.has(id)) return;
+            if (field.closest('label')) return;
+            if (this.getAriaName(field, document) || (field.getAttribute('title') || '').trim()) return;
+            addIssue('input_missing_label', field);
+        });
+    }
+
+    // Заголовок глубже предыдущего больше чем на уровень: h2 → h4. Первый заголовок не проверяется -
+    // отсутствие h1 уже отмечает SEO-аудит
+    checkHeadings(document, addIssue) {
+        let previousLevel = null;
+        document.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+            if (this.isHidden(heading)) return;
+
+            const level = parseInt(heading.tagName.slice(1));
+            if (previousLevel !== null && level > previousLevel + 1) {
+                addIssue('heading_level_skipped', heading, `h${previousLevel} → h${level}`);
+            }
+            previousLevel = level;
+        });
+    }
+
+    checkLinksAndButtons(document, addIssue) {
+        document.querySelectorAll('a[href]').forEach(link => {
+            if (!this.isHidden(link) && !this.getAccessibleName(link, document)) {
+                addIssue('empty_link', link);
+            }
+        });
+
+        document.querySelectorAll('button, [role="button"]').forEach(button => {
+            if (!this.isHidden(button) && !this.getAccessibleName(button, document)) {
+                addIssue('empty_button', button);
+            }
+        });
+    }
+
+    // Одна проблема на повторяющийся id; в подробностях - сколько раз он встретился
+    checkDuplicateIds(document, addIssue) {
+        const elementsById = new Map();
+        document.querySelectorAll('[id]').forEach(element => {
+            const id = element.getAttribute('id');
+            if (!id) return;
+            if (!elementsById.has(id)) elementsById.set(id, []);
+            elementsById.get(id).push(element);
+        });
+
+        elementsById.forEach((elements, id) => {
+            if (elements.length > 1) {
+                addIssue('duplicate_id', elements[1], `id="${id}" × ${elements.length}`);
+            }
+        });
+    }
+
+    checkLandmarks(document, addIssue) {
+        if (!document.querySelector('main, [role="main"]')) {
+            addIssue('main_landmark_missing', null);
+        }
+
+        const missing = LANDMARKS
+            .filter(landmark => !document.querySelector(landmark.selector))
+            .map(landmark => landmark.name);
+        if (missing.length > 0) {
+            addIssue('landmark_missing', null, missing.join(', '));
+        }
+    }
+
+    // Скрытое от вспомогательных технологий не проверяем
+    isHidden(element) {
+        return Boolean(element.closest('[aria-hidden="true"], [hidden], template, noscript'));
+    }
+
+    getAriaName(element, document) {
+        const labelledBy = (element.getAttribute('aria-labelledby') || '')
+            .split(/\s+/)
+            .filter(Boolean)
+            .map(id => document.getElementById(id))
+            .filter(Boolean)
+            .map(label => label.textContent)
+            .join(' ');
+        return [element.getAttribute('aria-label'), labelledBy]
+            .map(value => (value || '').replace(/\s+/g, ' ').trim())
+            .find(Boolean) || '';
+    }
+
+    // Упрощенное доступное имя ссылки или кнопки: aria, текст, alt вложенных картинок, title
+    getAccessibleName(element, document) {
+        const imageAlts = Array.from(element.querySelectorAll('img[alt], [role="img"][aria-label]'))
+            .map(image => image.getAttribute('alt') || image.getAttribute('aria-label'));
+        const value = element.tagName.toLowerCase() === 'input' ? element.getAttribute('value') : null;
+        return [this.getAriaName(element, document), element.textContent, ...imageAlts, value, element.getAttribute('title')]
+            .map(text => (text || '').replace(/\s+/g, ' ').trim())
+            .find(Boolean) || '';
+    }
+
+    // Разметка элемента для отчета; у <html> - только открывающий тег
+    getSnippet(element) {
+        const html = element.tagName.toLowerCase() === 'html'
+            ? (element.outerHTML.match(/^<[^>]*>/) || ['<html>'])[0]
+            : element.outerHTML.replace(/\s+/g, ' ').trim();
+        return html.length > this.options.maxSnippetLength
+            ? `${html.slice(0, this.options.maxSnippetLength)}…`
+            : html;
+    }
+
+    getResults() {
+        const pages = Array.from(this.pages.values());
+        const issues = {};
+        const bySeverity = Object.fromEntries(A11Y_SEVERITIES.map(severity => [severity, 0]));
+
+        pages.forEach(page => {
+            Object.entries(page.counts).forEach(([code, count]) => {
+                if (!issues[code]) issues[code] = { code, ...A11Y_RULES[code], pages: 0, occurrences: 0 };
+                issues[code].pages++;
+                issues[code].occurrences += count;
+                bySeverity[A11Y_RULES[code].severity] += count;
+            });
+        });
+
+        return {
+            pages,
+            summary: {
+                pagesChecked: pages.length,
+                pagesWithIssues: pages.filter(page => page.issueCount > 0).length,
+                totalIssues: pages.reduce((sum, page) => sum + page.issueCount, 0),
+                bySeverity,
+                // Самые серьезные и частые проблемы - первыми
+                issues: Object.values(issues).sort((a, b) =>
+                    A11Y_SEVERITIES.indexOf(a.severity) - A11Y_SEVERITIES.indexOf(b.severity) || b.pages - a.pages)
+            }
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AccessibilityAuditor, A11Y_RULES, A11Y_SEVERITIES };
+}
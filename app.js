@@ -0,0 +1,1477 @@
+// Глобальный инстанс краулера
+const professionalCrawler = new ProfessionalWebCrawler();
+
+professionalCrawler.use(new SeoAuditor());
+professionalCrawler.use(new DuplicateDetector());
+professionalCrawler.use(new ResourceAuditor());
+professionalCrawler.use(new AccessibilityAuditor());
+professionalCrawler.use(new DataExtractor());
+professionalCrawler.use(new PageArchive(typeof indexedDB !== 'undefined' ? new IndexedDbArchiveStore() : null));
+
+// Интерфейс - один из подписчиков на события краулера
+professionalCrawler.on('log', addLogEntry);
+professionalCrawler.on('progress', updateUI);
+professionalCrawler.on('complete', ({ results }) => {
+    showResults(results);
+    resetControls();
+    renderSavedSessions();
+});
+
+// Сессии сохраняются в IndexedDB, чтобы прерванный сбор можно было продолжить
+if (typeof indexedDB !== 'undefined') {
+    professionalCrawler.sessionStore = new IndexedDbSessionStore();
+}
+
+// UI функции
+function updateUI(data) {
+    const progressFill = document.getElementById('progressFill');
+    const progressInfo = document.getElementById('progressInfo');
+    const statsGrid = document.getElementById('statsGrid');
+    
+    // Прогресс бар
+    progressFill.style.width = data.progress + '%';
+    
+    // Основная информация о прогрессе
+    progressInfo.innerHTML = `
+        <div style="text-align: center; margin-bottom: 10px;">
+            ${t('progress.summary', {
+                visited: `<strong>${data.visited}</strong>`,
+                queued: `<strong>${data.queued}</strong>`,
+                failed: `<strong>${data.failed}</strong>`,
+                processed: `<strong>${data.pagesProcessed}/${professionalCrawler.config.maxPages}</strong>`
+            })}
+        </div>
+        
+        <div class="time-info">
+            <div class="time-card">
+                <span class="time-value">${data.elapsedTime}</span>
+                <span class="time-label">${t('progress.elapsed')}</span>
+            </div>
+            <div class="time-card">
+                <span class="time-value">${data.timeEstimate}</span>
+                <span class="time-label">${t('progress.remaining')}</span>
+            </div>
+            <div class="time-card">
+                <span class="time-value">${t('time.seconds', { s: data.averageTime })}</span>
+                <span class="time-label">${t('progress.average')}</span>
+            </div>
+        </div>
+        
+        <div class="progress-details">
+            <span class="progress-speed">
+                ${t('progress.speed', { speed: Math.round(60 / data.averageTime * 10) / 10 })}
+            </span>
+            <span class="estimated-time">
+                ${t('progress.eta', { time: data.timeEstimate })}
+            </span>
+        </div>
+    `;
+    
+    // Статистика
+    statsGrid.innerHTML = `
+        <div class="stat-card">
+            <div class="stat-number">${data.visited}</div>
+            <div class="stat-label">${t('progress.success')}</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-number">${data.queued}</div>
+            <div class="stat-label">${t('progress.queued')}</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-number">${data.failed}</div>
+            <div class="stat-label">${t('progress.errors')}</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-number">${data.stats.duplicates}</div>
+            <div class="stat-label">${t('progress.duplicates')}</div>
+        </div>
+    `;
+}
+
+// Записи журнала хранятся отдельно от разметки: фильтр по уровню, поиск и смена языка перерисовывают панель
+const logEntries = [];
+
+// message - ключ из i18n.js с параметрами или готовый текст, как в ProfessionalWebCrawler.log
+function addLog(message, type = 'info', params = {}) {
+    const key = hasMessage(message) ? message : null;
+    addLogEntry({
+        message: key ? t(key, params) : message,
+        key,
+        params,
+        type,
+        level: getLogLevel(type),
+        timestamp: Date.now()
+    });
+}
+
+function addLogEntry(entry) {
+    logEntries.push(entry);
+    if (!matchesLogFilter(entry, getLogFilter())) {
+        updateLogCounter();
+        return;
+    }
+    
+    const logElement = document.getElementById('log');
+    logElement.appendChild(renderLogEntry(entry));
+    logElement.scrollTop = logElement.scrollHeight;
+    updateLogCounter();
+}
+
+// Записи с ключом переводятся заново на текущий язык
+function getLogText(entry) {
+    return entry.key ? t(entry.key, entry.params) : entry.message;
+}
+
+function getLogFilter() {
+    return {
+        minLevel: LOG_LEVELS.indexOf(document.getElementById('logLevel').value),
+        query: document.getElementById('logSearch').value.trim().toLowerCase()
+    };
+}
+
+function matchesLogFilter(entry, filter) {
+    return LOG_LEVELS.indexOf(entry.level) >= filter.minLevel &&
+        (!filter.query || getLogText(entry).toLowerCase().includes(filter.query));
+}
+
+function renderLogEntry(entry) {
+    const logEntry = document.createElement('div');
+    logEntry.className = `log-entry log-${entry.type}`;
+    logEntry.innerHTML = `<span class="log-time">[${new Date(entry.timestamp).toLocaleTimeString(getLocale())}]</span> ${escapeHtml(getLogText(entry))}`;
+    return logEntry;
+}
+
+function renderLog() {
+    const filter = getLogFilter();
+    const logElement = document.getElementById('log');
+    logElement.innerHTML = '';
+    logEntries
+        .filter(entry => matchesLogFilter(entry, filter))
+        .forEach(entry => logElement.appendChild(renderLogEntry(entry)));
+    logElement.scrollTop = logElement.scrollHeight;
+    updateLogCounter();
+}
+
+function updateLogCounter() {
+    document.getElementById('logCounter').textContent = t('log.shown', {
+        shown: document.getElementById('log').childElementCount,
+        total: logEntries.length
+    });
+}
+
+// В файл попадают записи, видимые с текущими фильтром и поиском
+function exportLog() {
+    const filter = getLogFilter();
+    const lines = logEntries
+        .filter(entry => matchesLogFilter(entry, filter))
+        .map(entry => `[${new Date(entry.timestamp).toISOString()}] ${entry.level.toUpperCase()} ${getLogText(entry)}`);
+    downloadFile(lines.join('\n') + '\n', 'crawl_log.txt', 'text/plain');
+}
+
+function showResults(results) {
+    document.getElementById('progressSection').style.display = 'none';
+    document.getElementById('resultsSection').style.display = 'block';
+    
+    const statsHtml = `
+        <div class="final-stats">
+            <div class="stat-item">${t('results.crawled', { count: results.totalPages })}</div>
+            <div class="stat-item">${t('results.failed', { count: results.failedUrls.length })}</div>
+            <div class="stat-item">${t('results.duplicates', { count: results.stats.duplicates })}</div>
+            <div class="stat-item">${t('results.external', { count: results.stats.external })}</div>
+            <div class="stat-item">${t('results.skipped', { count: results.stats.skipped })}</div>
+            <div class="stat-item">${t('results.redirects', { count: results.stats.redirects })}</div>
+            ${results.stats.retries ? `
+            <div class="stat-item">${t('results.retries', { retries: results.stats.retries, recovered: results.stats.recovered })}</div>
+            ` : ''}
+            <div class="stat-item">${t('results.brokenLinks', { count: results.brokenLinks.length })}</div>
+            ${results.archive ? `
+            <div class="stat-item">${t(results.archive.rawHtml ? 'results.archiveRawHtml' : 'results.archive', { count: results.archive.pages })}</div>
+            ` : ''}
+            ${results.duplicates ? `
+            <div class="stat-item">${t('results.duplicateGroups', { exact: results.duplicates.exactClusters.length, near: results.duplicates.nearClusters.length })}</div>
+            ` : ''}
+            <div class="stat-item">${t('results.statusCodes', { codes: Object.entries(results.statusCodes)
+                .map(([status, count]) => `<span class="status-badge ${getStatusClass(status)}">${status}</span> ${count}`)
+                .join(' ') })}</div>
+            ${results.accessibility ? `
+            <div class="stat-item">${t('results.accessibility', { count: results.accessibility.summary.totalIssues, pages: results.accessibility.summary.pagesWithIssues })}</div>
+            ` : ''}
+            ${results.sitemap ? `
+            <div class="stat-item">${t('results.sitemapPages', { count: results.sitemap.totalUrls })}</div>
+            <div class="stat-item">${t('results.orphans', { count: results.sitemap.orphanUrls.length })}</div>
+            <div class="stat-item">${t('results.missingFromSitemap', { count: results.sitemap.missingFromSitemap.length })}</div>
+            ` : ''}
+        </div>
+    `;
+    
+    document.getElementById('resultsStats').innerHTML = statsHtml;
+    document.getElementById('sitemapReportBtn').style.display = results.sitemap ? 'inline-block' : 'none';
+    document.getElementById('seoAuditBtn').style.display = results.seo ? 'inline-block' : 'none';
+    document.getElementById('duplicatesBtn').style.display = results.duplicates ? 'inline-block' : 'none';
+    document.getElementById('resourcesBtn').style.display = results.resources ? 'inline-block' : 'none';
+    document.getElementById('accessibilityBtn').style.display = results.accessibility ? 'inline-block' : 'none';
+    document.getElementById('extractionBtn').style.display = results.extraction ? 'inline-block' : 'none';
+    document.getElementById('warcBtn').style.display = results.archive ? 'inline-block' : 'none';
+    document.getElementById('archiveSearch').style.display = results.archive ? 'flex' : 'none';
+    renderColumnPicker(results);
+}
+
+// Экспорт функций
+
+// Настройки обхода из формы (без учетных данных) - для запуска и для профиля
+function getCrawlSettings() {
+    const maxPages = parseInt(document.getElementById('maxPages').value) || 500;
+    const delay = parseInt(document.getElementById('delay').value) || 200;
+    const concurrency = parseInt(document.getElementById('concurrency').value) || 4;
+    const usePuppeteer = document.getElementById('usePuppeteer').checked;
+    const respectRobots = document.getElementById('respectRobots').checked;
+    const userAgent = document.getElementById('userAgent').value.trim() || 'ProfessionalWebCrawler';
+    const useSitemaps = document.getElementById('useSitemaps').checked;
+    const checkExternalLinks = document.getElementById('checkExternalLinks').checked;
+    const seoAudit = document.getElementById('seoAudit').checked;
+    const scope = document.getElementById('scope').value;
+    const allowedHosts = splitList(document.getElementById('allowedHosts').value, ',');
+    const maxDepth = parseInt(document.getElementById('maxDepth').value) || 0;
+    const excludedExtensions = splitList(document.getElementById('excludedExtensions').value, ',');
+    const includePatterns = splitList(document.getElementById('includePatterns').value, '\n');
+    const excludePatterns = splitList(document.getElementById('excludePatterns').value, '\n');
+    const detectDuplicates = document.getElementById('detectDuplicates').checked;
+    const auditResources = document.getElementById('auditResources').checked;
+    const auditAccessibility = document.getElementById('auditAccessibility').checked;
+    const archivePages = document.getElementById('archivePages').checked;
+    const archiveRawHtml = archivePages && document.getElementById('archiveRawHtml').checked;
+    const stripWww = document.getElementById('stripWww').checked;
+    const stripTrailingSlash = document.getElementById('stripTrailingSlash').checked;
+    const sortQueryParams = document.getElementById('sortQueryParams').checked;
+    const lowercasePaths = document.getElementById('lowercasePaths').checked;
+    const indexFiles = splitList(document.getElementById('indexFiles').value, ',');
+    const ignoredParams = splitList(document.getElementById('ignoredParams').value, ',');
+    const transport = document.getElementById('transport').value;
+    const localProxyUrl = document.getElementById('localProxyUrl').value.trim();
+    const localProxyToken = document.getElementById('localProxyToken').value.trim();
+    const proxyTemplates = splitList(document.getElementById('proxyTemplates').value, '\n');
+    const requestTimeout = parseInt(document.getElementById('requestTimeout').value) || 30000;
+    const retries = parseInt(document.getElementById('retries').value) || 0;
+    const maxPageAttempts = parseInt(document.getElementById('maxPageAttempts').value) || 1;
+    const adaptiveThrottle = document.getElementById('adaptiveThrottle').checked;
+    const requestHeaders = parseHeaderLines(document.getElementById('requestHeaders').value);
+    const extractionRules = getExtractionRules();
+    
+    return {
+        maxPages, delay, concurrency, usePuppeteer, respectRobots, userAgent, useSitemaps, checkExternalLinks, seoAudit,
+        scope, allowedHosts, maxDepth, excludedExtensions, includePatterns, excludePatterns,
+        detectDuplicates, auditResources, auditAccessibility, archivePages, archiveRawHtml, stripWww, stripTrailingSlash, sortQueryParams, lowercasePaths, indexFiles, ignoredParams,
+        transport, localProxyUrl, localProxyToken, proxyTemplates, requestTimeout, retries, maxPageAttempts, adaptiveThrottle,
+        requestHeaders, extractionRules
+    };
+}
+
+function startCrawling() {
+    const url = document.getElementById('urlInput').value.trim();
+    
+    if (!url) {
+        showError(t('app.enterUrl'));
+        return;
+    }
+    
+    let authSettings;
+    try {
+        authSettings = getAuthSettings(url);
+    } catch (error) {
+        showError(t('app.cookiesFailed', { message: error.message }));
+        return;
+    }
+    
+    showCrawlingUI();
+    
+    // Обновление конфигурации. Рендеринг JavaScript есть только в CLI: флаг формы сохраняется в профиль,
+    // а в браузере страницы всегда загружаются как есть
+    professionalCrawler.updateConfig({ ...getCrawlSettings(), ...authSettings, usePuppeteer: false });
+    
+    // Запуск
+    professionalCrawler.startCrawling(url).catch(error => {
+        showError(error.message);
+        resetControls();
+    });
+}
+
+// Значение поля-списка: пустые элементы отбрасываются
+function splitList(value, separator) {
+    return value.split(separator).map(item => item.trim()).filter(Boolean);
+}
+
+// Строки "Имя: значение" в объект заголовков
+function parseHeaderLines(value) {
+    const headers = {};
+    splitList(value, '\n').forEach(line => {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+        }
+    });
+    return headers;
+}
+
+// Авторизация из формы; пароль, токен и cookies в сессии не сохраняются и берутся из формы и при продолжении
+function getAuthSettings(siteUrl) {
+    return {
+        authType: document.getElementById('authType').value,
+        authUsername: document.getElementById('authUsername').value,
+        authPassword: document.getElementById('authPassword').value,
+        authToken: document.getElementById('authToken').value.trim(),
+        cookies: parseCookieImport(document.getElementById('cookieImport').value, siteUrl),
+        useCookieJar: document.getElementById('useCookieJar').checked
+    };
+}
+
+// Редактор правил извлечения данных: одна строка формы на правило
+function addExtractionRule(rule = {}) {
+    const row = document.createElement('div');
+    row.className = 'extraction-rule';
+    row.innerHTML = `
+        <input type="text" data-field="name" placeholder="${t('extraction.fieldName')}" value="${escapeHtml(rule.name || '')}">
+        <select data-field="type">
+            ${EXTRACTION_RULE_TYPES.map(type => `<option value="${type}" ${type === (rule.type || 'css') ? 'selected' : ''}>${type}</option>`).join('')}
+        </select>
+        <input type="text" data-field="expression" placeholder=".price, //h1, /SKU: (\\w+)/" value="${escapeHtml(rule.expression || '')}">
+        <input type="text" data-field="attribute" placeholder="${t('extraction.attribute')}" value="${escapeHtml(rule.attribute || '')}">
+        <label><input type="checkbox" data-field="multiple" ${rule.multiple ? 'checked' : ''}> ${t('extraction.multiple')}</label>
+        <input type="text" data-field="urlPattern" placeholder="${t('extraction.urlPattern')}" value="${escapeHtml(rule.urlPattern || '')}">
+        <button type="button" title="${t('extraction.remove')}" onclick="this.parentElement.remove()">✖</button>
+    `;
+    document.getElementById('extractionRules').appendChild(row);
+}
+
+// Незаполненные строки редактора не считаются правилами
+function getExtractionRules() {
+    return Array.from(document.querySelectorAll('#extractionRules .extraction-rule'))
+        .map(row => {
+            const field = name => row.querySelector(`[data-field="${name}"]`);
+            return {
+                name: field('name').value.trim(),
+                type: field('type').value,
+                expression: field('expression').value.trim(),
+                attribute: field('attribute').value.trim(),
+                multiple: field('multiple').checked,
+                urlPattern: field('urlPattern').value.trim()
+            };
+        })
+        .filter(rule => rule.name || rule.expression);
+}
+
+function saveRuleSet() {
+    downloadFile(serializeRuleSet(getExtractionRules()), 'extraction_rules.json', 'application/json');
+}
+
+// Тот же файл принимает CLI: node cli.js <url> --rules extraction_rules.json
+async function loadRuleSet(input) {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+    
+    try {
+        const rules = parseRuleSet(JSON.parse(await file.text()));
+        document.getElementById('extractionRules').innerHTML = '';
+        rules.forEach(rule => addExtractionRule(rule));
+        addLog('app.rulesLoaded', 'success', { count: rules.length });
+    } catch (error) {
+        showError(t('app.rulesFailed', { file: file.name, message: error.message }));
+    }
+}
+
+// Обратное к getCrawlSettings: id полей формы совпадают с ключами настроек
+function applyCrawlSettings(config) {
+    Object.entries(config).forEach(([key, value]) => {
+        if (key === 'extractionRules') {
+            document.getElementById('extractionRules').innerHTML = '';
+            value.forEach(rule => addExtractionRule(rule));
+            return;
+        }
+        
+        const element = document.getElementById(key);
+        if (!element) return;
+        
+        if (element.type === 'checkbox') {
+            element.checked = Boolean(value);
+        } else if (key === 'requestHeaders') {
+            element.value = Object.entries(value).map(([name, header]) => `${name}: ${header}`).join('\n');
+        } else if (Array.isArray(value)) {
+            element.value = value.join(element.tagName === 'TEXTAREA' ? '\n' : ', ');
+        } else {
+            element.value = value;
+        }
+    });
+}
+
+// Условия и каналы оповещений из формы. Пароль SMTP в профиль не пишется - его берут из SMTP_PASSWORD
+function getProfileAlerts() {
+    const rules = [];
+    if (document.getElementById('alertNewErrors').checked) {
+        rules.push({ type: 'new_errors' });
+    }
+    const pageDrop = parseInt(document.getElementById('alertPageDrop').value) || 0;
+    if (pageDrop > 0) {
+        rules.push({ type: 'page_count_drop', percent: pageDrop });
+    }
+    const titlePages = splitList(document.getElementById('alertTitlePages').value, '\n');
+    if (titlePages.length > 0) {
+        rules.push({ type: 'title_changed', pages: titlePages });
+    }
+    
+    const channels = [];
+    const webhook = document.getElementById('alertWebhook').value.trim();
+    if (webhook) {
+        channels.push({ type: 'webhook', url: webhook });
+    }
+    const emailTo = splitList(document.getElementById('alertEmailTo').value, ',');
+    if (emailTo.length > 0) {
+        const smtp = document.getElementById('alertSmtp').value.trim();
+        channels.push({ type: 'email', smtp: smtp.replace(/^(smtps?:\/\/[^:@/]*):[^@/]*@/i, '$1@'), password: 'env:SMTP_PASSWORD', to: emailTo });
+    }
+    const logFile = document.getElementById('alertLogFile').value.trim();
+    if (logFile) {
+        channels.push({ type: 'log', path: logFile });
+    }
+    
+    return { rules, channels };
+}
+
+// В форме по одному каналу каждого типа; остальные можно добавить, поправив JSON профиля
+function applyProfileAlerts(alerts) {
+    const rule = type => alerts.rules.find(item => item.type === type);
+    const channel = type => alerts.channels.find(item => item.type === type) || {};
+    
+    document.getElementById('alertNewErrors').checked = Boolean(rule('new_errors'));
+    document.getElementById('alertPageDrop').value = rule('page_count_drop') ? rule('page_count_drop').percent : 0;
+    document.getElementById('alertTitlePages').value = rule('title_changed') ? (rule('title_changed').pages || []).join('\n') : '';
+    document.getElementById('alertWebhook').value = channel('webhook').url || '';
+    document.getElementById('alertEmailTo').value = [].concat(channel('email').to || []).join(', ');
+    document.getElementById('alertSmtp').value = channel('email').smtp || '';
+    document.getElementById('alertLogFile').value = channel('log').path || '';
+}
+
+// Профиль для daemon.js и cli.js --profile: учетные данные, кроме логина, в файл не попадают
+function saveProfile() {
+    const url = document.getElementById('urlInput').value.trim();
+    if (!url) {
+        showError(t('app.enterUrl'));
+        return;
+    }
+    
+    let profile;
+    try {
+        profile = parseProfile({
+            name: document.getElementById('profileName').value.trim() || new URL(url).hostname,
+            startUrl: url,
+            config: redactConfig({
+                ...getCrawlSettings(),
+                authType: document.getElementById('authType').value,
+                authUsername: document.getElementById('authUsername').value,
+                useCookieJar: document.getElementById('useCookieJar').checked
+            }),
+            schedule: parseScheduleText(document.getElementById('profileSchedule').value),
+            alerts: getProfileAlerts()
+        });
+    } catch (error) {
+        showError(t('app.profileNotSaved', { message: error.message }));
+        return;
+    }
+    
+    downloadFile(serializeProfile(profile), `${profile.name}.json`, 'application/json');
+}
+
+async function loadProfile(input) {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+    
+    try {
+        const profile = parseProfile(JSON.parse(await file.text()), file.name.replace(/\.json$/i, ''));
+        document.getElementById('urlInput').value = profile.startUrl;
+        applyCrawlSettings(profile.config);
+        document.getElementById('profileName').value = profile.name;
+        document.getElementById('profileSchedule').value = profile.schedule ? (profile.schedule.interval || profile.schedule.cron) : '';
+        applyProfileAlerts(profile.alerts);
+        addLog('app.profileLoaded', 'success', { name: profile.name, schedule: describeSchedule(profile.schedule) });
+    } catch (error) {
+        showError(t('app.profileFailed', { file: file.name, message: error.message }));
+    }
+}
+
+function showCrawlingUI() {
+    // Сброс UI
+    document.getElementById('error').textContent = '';
+    document.getElementById('progressSection').style.display = 'block';
+    document.getElementById('resultsSection').style.display = 'none';
+    document.getElementById('crawlBtn').style.display = 'none';
+    document.getElementById('stopBtn').style.display = 'inline-block';
+    document.getElementById('pauseBtn').style.display = 'inline-block';
+    logEntries.length = 0;
+    renderLog();
+}
+
+function resetControls() {
+    document.getElementById('crawlBtn').style.display = 'inline-block';
+    document.getElementById('stopBtn').style.display = 'none';
+    document.getElementById('pauseBtn').style.display = 'none';
+}
+
+function stopCrawling() {
+    professionalCrawler.stopCrawling();
+    resetControls();
+}
+
+async function renderSavedSessions() {
+    const store = professionalCrawler.sessionStore;
+    const section = document.getElementById('sessionsSection');
+    if (!store) return;
+    
+    let sessions;
+    try {
+        sessions = await store.list();
+    } catch (error) {
+        addLog('app.sessionsFailed', 'warning', { message: error.message });
+        return;
+    }
+    
+    section.style.display = sessions.length > 0 ? 'block' : 'none';
+    document.getElementById('sessionsList').innerHTML = sessions.map(session => {
+        const canResume = session.status !== 'completed' && !professionalCrawler.isCrawling;
+        const canCompare = session.id !== professionalCrawler.sessionId && !professionalCrawler.isCrawling &&
+            professionalCrawler.visitedUrls.size > 0;
+        
+        return `
+            <div class="session-item">
+                <div class="session-info">
+                    <strong>${escapeHtml(session.startUrl)}</strong>
+                    <span class="url-meta">${new Date(session.savedAt).toLocaleString(getLocale())} · ${hasMessage(`sessions.${session.status}`) ? t(`sessions.${session.status}`) : session.status}</span>
+                    <span class="url-meta">${t('sessions.progress', session)}</span>
+                </div>
+                <div class="session-actions">
+                    ${canResume ? `<button onclick="resumeSession('${escapeHtml(session.id)}')">${t('sessions.resume')}</button>` : ''}
+                    ${canCompare ? `<button onclick="compareWithSession('${escapeHtml(session.id)}')">${t('sessions.compare')}</button>` : ''}
+                    <button class="session-delete" onclick="deleteSession('${escapeHtml(session.id)}')">${t('sessions.delete')}</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function resumeSession(id) {
+    const state = await professionalCrawler.sessionStore.load(id);
+    if (!state) {
+        showError(t('app.sessionNotFound'));
+        renderSavedSessions();
+        return;
+    }
+    
+    try {
+        professionalCrawler.updateConfig(getAuthSettings(state.startUrl));
+    } catch (error) {
+        showError(t('app.cookiesFailed', { message: error.message }));
+        return;
+    }
+    
+    showCrawlingUI();
+    document.getElementById('urlInput').value = state.startUrl;
+    
+    professionalCrawler.resumeCrawling(state).catch(error => {
+        showError(error.message);
+    });
+    renderSavedSessions();
+}
+
+async function deleteSession(id) {
+    await professionalCrawler.sessionStore.delete(id);
+    // Архив страниц живет, пока жива сессия
+    const archive = professionalCrawler.plugins.find(plugin => plugin.name === 'archive');
+    if (archive && archive.store) {
+        await archive.store.deleteSession(id).catch(error => addLog('app.archiveDeleteFailed', 'warning', { message: error.message }));
+    }
+    renderSavedSessions();
+}
+
+function togglePause() {
+    professionalCrawler.togglePause();
+    updatePauseButton();
+}
+
+function updatePauseButton() {
+    document.getElementById('pauseBtn').textContent = t(professionalCrawler.isPaused ? 'controls.resume' : 'controls.pause');
+}
+
+function showError(message) {
+    document.getElementById('error').textContent = message;
+    addLog('app.error', 'error', { message });
+}
+
+function getStatusClass(status) {
+    const code = parseInt(status);
+    if (code >= 200 && code < 300) return 'status-ok';
+    if (code >= 300 && code < 400) return 'status-redirect';
+    return 'status-error';
+}
+
+// Выбор колонок CSV и XLSX; отмечены все доступные, кроме снятых пользователем раньше
+function renderColumnPicker(results) {
+    const unchecked = new Set(Array.from(document.querySelectorAll('#columnPicker input[type="checkbox"]'))
+        .filter(checkbox => !checkbox.checked)
+        .map(checkbox => checkbox.value));
+    
+    document.getElementById('columnPicker').innerHTML = getAvailablePageColumns(results).map(column => `
+        <label><input type="checkbox" value="${column.id}" ${unchecked.has(column.id) ? '' : 'checked'}> ${escapeHtml(column.title)}</label>
+    `).join('');
+}
+
+// null - выбор еще не показывался
+function getSelectedColumns() {
+    const checkboxes = document.querySelectorAll('#columnPicker input[type="checkbox"]');
+    if (checkboxes.length === 0) return null;
+    return Array.from(checkboxes).filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+}
+
+function getExportColumns(results) {
+    const available = new Set(getAvailablePageColumns(results).map(column => column.id));
+    const selected = (getSelectedColumns() || Array.from(available)).filter(id => available.has(id));
+    if (selected.length === 0) {
+        showError(t('app.selectColumn'));
+        return null;
+    }
+    return selected;
+}
+
+function exportCSV() {
+    const results = professionalCrawler.getResults();
+    const columns = getExportColumns(results);
+    if (!columns) return;
+    downloadFile(resultsToCSV(results, columns), 'crawled_pages.csv', 'text/csv');
+}
+
+function exportXLSX() {
+    const results = professionalCrawler.getResults();
+    const columns = getExportColumns(results);
+    if (!columns) return;
+    downloadFile(resultsToXLSX(results, columns), 'crawled_pages.xlsx',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+}
+
+// Больше 50 000 URL - индекс и части sitemap одним архивом
+function exportSitemap() {
+    const files = resultsToSitemaps(professionalCrawler.getResults());
+    if (files.length === 1) {
+        downloadFile(files[0].content, 'sitemap.xml', 'application/xml');
+    } else {
+        downloadFile(createZip(files), 'sitemaps.zip', 'application/zip');
+    }
+}
+
+function getPageArchive() {
+    return professionalCrawler.plugins.find(plugin => plugin.name === 'archive');
+}
+
+async function exportWARC() {
+    try {
+        downloadFile(await getPageArchive().exportWarc(), 'crawl_archive.warc', 'application/warc');
+    } catch (error) {
+        showError(t('app.warcFailed', { message: error.message }));
+    }
+}
+
+async function searchArchive() {
+    const query = document.getElementById('archiveQuery').value.trim();
+    const urlsContainer = document.getElementById('urlsContainer');
+    const urlsList = document.getElementById('urlsList');
+    if (!query) return;
+    
+    stopLinkGraph();
+    let hits;
+    try {
+        hits = await getPageArchive().search(query);
+    } catch (error) {
+        showError(t('app.searchFailed', { message: error.message }));
+        return;
+    }
+    
+    // Слова запроса состоят только из букв и цифр, поэтому годятся в регулярное выражение как есть
+    const pattern = new RegExp(`(${parseSearchQuery(query).flat().join('|')})`, 'giu');
+    const highlight = snippet => snippet.split(pattern)
+        .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+        .join('');
+    
+    urlsContainer.innerHTML = `
+        <h4 class="report-heading">${t('report.searchHeading', { query: escapeHtml(query), count: hits.length })}</h4>
+        ${hits.length === 0 ? `<div class="url-item">${t('report.searchEmpty')}</div>` : hits.map(hit => `
+            <div class="url-item">
+                <a href="${escapeHtml(hit.url)}" target="_blank">${escapeHtml(hit.title || hit.url)}</a>
+                <span class="url-meta">${escapeHtml(hit.url)} · ${t('report.searchMatches', { count: hit.matches })}</span>
+                <div class="search-snippet">${highlight(hit.snippet)}</div>
+            </div>
+        `).join('')}
+    `;
+    
+    urlsList.style.display = 'block';
+}
+
+function exportHAR() {
+    downloadFile(requestLogToHAR(professionalCrawler.requestLog), 'crawl_requests.har', 'application/json');
+}
+
+function exportBrokenLinks() {
+    const brokenLinks = professionalCrawler.getBrokenLinksReport();
+    downloadFile(brokenLinksToCSV(brokenLinks), 'broken_links.csv', 'text/csv');
+}
+
+function exportJSON() {
+    const results = professionalCrawler.getResults();
+    downloadFile(resultsToJSON(results), 'crawled_pages.json', 'application/json');
+}
+
+function exportTXT() {
+    const results = professionalCrawler.getResults();
+    downloadFile(resultsToTXT(results), 'crawled_pages.txt', 'text/plain');
+}
+
+function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    
+    addLog('app.fileDownloaded', 'success', { file: filename });
+}
+
+function viewResults() {
+    const results = professionalCrawler.getResults();
+    const urlsContainer = document.getElementById('urlsContainer');
+    const urlsList = document.getElementById('urlsList');
+    
+    const pagesByUrl = new Map(results.pages.map(page => [page.url, page]));
+    
+    urlsContainer.innerHTML = '';
+    results.urls.forEach(url => {
+        const page = pagesByUrl.get(url) || {};
+        const status = page.status || 'ERR';
+        const urlElement = document.createElement('div');
+        urlElement.className = 'url-item';
+        urlElement.innerHTML = `
+            <span class="status-badge ${getStatusClass(status)}">${status}</span>
+            <a href="${escapeHtml(url)}" target="_blank">${escapeHtml(url)}</a>
+            ${page.finalUrl && page.finalUrl !== url ? `<span class="url-meta">→ ${escapeHtml(page.finalUrl)}</span>` : ''}
+            ${page.error ? `<span class="url-meta">${escapeHtml(page.error)}</span>` : ''}
+        `;
+        urlsContainer.appendChild(urlElement);
+    });
+    
+    urlsList.style.display = 'block';
+}
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function viewBrokenLinks() {
+    const brokenLinks = professionalCrawler.getBrokenLinksReport();
+    const urlsContainer = document.getElementById('urlsContainer');
+    const urlsList = document.getElementById('urlsList');
+    
+    if (brokenLinks.length === 0) {
+        urlsContainer.innerHTML = `<div class="url-item">${t('report.noBrokenLinks')}</div>`;
+        urlsList.style.display = 'block';
+        return;
+    }
+    
+    urlsContainer.innerHTML = brokenLinks.map(link => `
+        <div class="url-item broken-link">
+            <span class="status-badge status-error">${link.status || 'ERR'}</span>
+            <a href="${escapeHtml(link.url)}" target="_blank">${escapeHtml(link.url)}</a>
+            ${link.external ? `<span class="url-meta">${t('report.externalLink')}</span>` : ''}
+            <span class="url-meta">${escapeHtml(link.error)}</span>
+            <ul class="link-sources">
+                ${link.sources.map(source => `
+                    <li>
+                        <span class="link-tag">&lt;${source.tag}&gt;</span>
+                        <a href="${escapeHtml(source.source)}" target="_blank">${escapeHtml(source.source)}</a>
+                        ${source.anchorText ? `<span class="url-meta">«${escapeHtml(source.anchorText)}»</span>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        </div>
+    `).join('');
+    
+    urlsList.style.display = 'block';
+}
+
+function viewSeoAudit() {
+    const seo = professionalCrawler.getResults().seo;
+    const urlsContainer = document.getElementById('urlsContainer');
+    const urlsList = document.getElementById('urlsList');
+    if (!seo) return;
+    
+    const summary = Object.entries(seo.issueCounts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([code, count]) => `<li><strong>${count}</strong> ${escapeHtml(getSeoIssueMessage(code))}</li>`)
+        .join('');
+    
+    const renderDuplicates = (title, groups) => groups.length === 0 ? '' : `
+        <h4 class="report-heading">${title} (${groups.length})</h4>
+        ${groups.map(group => `
+            <div class="url-item">
+                <strong>«${escapeHtml(group.value)}»</strong>
+                <ul class="link-sources">
+                    ${group.urls.map(url => `<li><a href="${escapeHtml(url)}" target="_blank">${escapeHtml(url)}</a></li>`).join('')}
+                </ul>
+            </div>
+        `).join('')}
+    `;
+    
+    const rows = seo.pages
+        .filter(page => page.issues.length > 0)
+        .sort((a, b) => b.issues.length - a.issues.length)
+        .map(page => `
+            <tr>
+                <td><a href="${escapeHtml(page.url)}" target="_blank">${escapeHtml(page.url)}</a></td>
+                <td>${escapeHtml(page.title || '—')} <span class="url-meta">${page.titleLength}</span></td>
+                <td>${page.h1Count}</td>
+                <td>${page.wordCount}</td>
+                <td>${page.issues.map(code => `<span class="issue-tag">${escapeHtml(getSeoIssueMessage(code))}</span>`).join(' ')}</td>
+            </tr>
+        `).join('');
+    
+    urlsContainer.innerHTML = `
+        <h4 class="report-heading">${t('report.seoIssues')}</h4>
+        <ul class="issue-summary">${summary || `<li>${t('report.seoNoIssues')}</li>`}</ul>
+        ${renderDuplicates(t('report.seoDuplicateTitles'), seo.duplicateTitles)}
+        ${renderDuplicates(t('report.seoDuplicateDescriptions'), seo.duplicateDescriptions)}
+        <h4 class="report-heading">${t('report.seoPages')}</h4>
+        <table class="audit-table">
+            <thead><tr><th>URL</th><th>Title</th><th>H1</th><th>${t('report.columnWords')}</th><th>${t('report.columnIssues')}</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+    
+    urlsList.style.display = 'block';
+}
+
+// Коды проблем из seo-audit.js; неизвестный код показывается как есть
+function getSeoIssueMessage(code) {
+    return hasMessage(`seo.${code}`) ? t(`seo.${code}`) : (SEO_ISSUE_MESSAGES[code] || code);
+}
+
+function viewResourceAudit() {
+    const resources = professionalCrawler.getResults().resources;
+    const urlsContainer = document.getElementById('urlsContainer');
+    const urlsList = document.getElementById('urlsList');
+    if (!resources) return;
+    stopLinkGraph();
+    
+    const { summary } = resources;
+    const sizeOf = bytes => (bytes === null || bytes === undefined ? '?' : formatSize(bytes));
+    const renderAssets = (title, assets, describe) => `
+        <h4 class="report-heading">${title} (${assets.length})</h4>
+        ${assets.length === 0 ? `<div class="url-item">${t('report.notFound')}</div>` : `
+            <table class="audit-table">
+                <thead><tr><th>${t('report.columnResource')}</th><th>${t('report.columnType')}</th><th>${t('report.columnPages')}</th><th>${t('report.columnDetails')}</th></tr></thead>
+                <tbody>${assets.map(asset => `
+                    <tr>
+                        <td><a href="${escapeHtml(asset.url)}" target="_blank">${escapeHtml(asset.url)}</a></td>
+                        <td>${escapeHtml(asset.category)}</td>
+                        <td>${asset.pages}</td>
+                        <td>${escapeHtml(describe(asset))}</td>
+                    </tr>
+                `).join('')}</tbody>
+            </table>
+        `}
+    `;
+    
+    const heaviestRows = resources.heaviestPages.map(page => `
+        <tr>
+            <td><a href="${escapeHtml(page.url)}" target="_blank">${escapeHtml(page.url)}</a></td>
+            <td>${sizeOf(page.totalSize)}${page.unknownSizeAssets ? ` <span class="url-meta">${t('report.unknownSize', { count: page.unknownSizeAssets })}</span>` : ''}</td>
+            <td>${sizeOf(page.htmlSize)}</td>
+            <td>${page.assetCount}</td>
+            <td>${page.ttfb ?? '-'} / ${page.downloadTime ?? '-'}</td>
+        </tr>
+    `).join('');
+    
+    const mixedRows = resources.mixedContent.map(item => `
+        <tr>
+            <td><a href="${escapeHtml(item.page)}" target="_blank">${escapeHtml(item.page)}</a></td>
+            <td>${escapeHtml(item.asset)}</td>
+        </tr>
+    `).join('');
+    
+    urlsContainer.innerHTML = `
+        <div class="structure-toolbar">
+            <button onclick="exportResources()">📥 CSV</button>
+        </div>
+        <div class="url-item">
+            ${t('report.resourcesSummary', { checked: summary.checkedAssets, total: summary.totalAssets, size: formatSize(summary.totalAssetSize) })}
+            ${Object.entries(resources.categories).map(([category, stats]) => `${escapeHtml(category)}: ${stats.count} (${formatSize(stats.size)})`).join(', ')}
+        </div>
+        <h4 class="report-heading">${t('report.heaviestPages')}</h4>
+        <table class="audit-table">
+            <thead><tr><th>URL</th><th>${t('report.columnWeight')}</th><th>HTML</th><th>${t('report.columnAssets')}</th><th>${t('report.columnTiming')}</th></tr></thead>
+            <tbody>${heaviestRows || `<tr><td colspan="5">${t('report.noData')}</td></tr>`}</tbody>
+        </table>
+        ${renderAssets(t('report.oversizedImages', { size: formatSize(resources.maxImageSize) }), resources.oversizedImages, asset => sizeOf(asset.size))}
+        ${renderAssets(t('report.uncompressed'), resources.uncompressedAssets, asset => `${sizeOf(asset.size)}, ${asset.contentType || ''}`)}
+        ${renderAssets(t('report.uncached'), resources.uncachedAssets, asset => asset.cacheControl || t('report.noCacheHeaders'))}
+        ${renderAssets(t('report.failedAssets'), resources.failedAssets, asset => asset.error || '')}
+        <h4 class="report-heading">${t('report.mixedContent', { count: resources.mixedContent.length })}</h4>
+        ${mixedRows ? `
+            <table class="audit-table">
+                <thead><tr><th>${t('report.columnHttpsPage')}</th><th>${t('report.columnHttpResource')}</th></tr></thead>
+                <tbody>${mixedRows}</tbody>
+            </table>
+        ` : `<div class="url-item">${t('report.notFound')}</div>`}
+    `;
+    
+    urlsList.style.display = 'block';
+}
+
+function exportResources() {
+    const resources = professionalCrawler.getResults().resources;
+    if (!resources) return;
+    downloadFile(resourcesToCSV(resources), 'resources.csv', 'text/csv');
+}
+
+function viewAccessibilityAudit() {
+    const accessibility = professionalCrawler.getResults().accessibility;
+    const urlsContainer = document.getElementById('urlsContainer');
+    const urlsList = document.getElementById('urlsList');
+    if (!accessibility) return;
+    stopLinkGraph();
+    
+    const { summary } = accessibility;
+    const { maxIssuesPerCheck } = professionalCrawler.plugins.find(plugin => plugin.name === 'accessibility').options;
+    const severityTag = severity => `<span class="severity-tag severity-${severity}">${t(`severity.${severity}`)}</span>`;
+    
+    const summaryRows = summary.issues.map(issue => `
+        <tr>
+            <td>${severityTag(issue.severity)}</td>
+            <td>${escapeHtml(t(`a11y.${issue.code}`))}</td>
+            <td>${issue.wcag}</td>
+            <td>${issue.pages}</td>
+            <td>${issue.occurrences}</td>
+        </tr>
+    `).join('');
+    
+    const pages = accessibility.pages
+        .filter(page => page.issueCount > 0)
+        .sort((a, b) => b.issueCount - a.issueCount)
+        .map(page => {
+            const hidden = page.issueCount - page.issues.length;
+            return `
+                <div class="url-item">
+                    <a href="${escapeHtml(page.url)}" target="_blank">${escapeHtml(page.url)}</a>
+                    <span class="url-meta">${t('report.a11yPageCount', { count: page.issueCount })}</span>
+                    <ul class="link-sources">
+                        ${page.issues.map(issue => `
+                            <li>
+                                ${severityTag(issue.severity)}
+                                ${escapeHtml(t(`a11y.${issue.code}`))}
+                                ${issue.detail ? `<span class="url-meta">${escapeHtml(issue.detail)}</span>` : ''}
+                                ${issue.snippet ? `<code class="issue-snippet">${escapeHtml(issue.snippet)}</code>` : ''}
+                            </li>
+                        `).join('')}
+                        ${hidden > 0 ? `<li class="url-meta">${t('report.a11yMore', { count: hidden, limit: maxIssuesPerCheck })}</li>` : ''}
+                    </ul>
+                </div>
+            `;
+        }).join('');
+    
+    urlsContainer.innerHTML = `
+        <div class="structure-toolbar">
+            <button onclick="exportAccessibility()">📥 CSV</button>
+        </div>
+        <div class="url-item">
+            ${t('report.a11ySummary', { checked: summary.pagesChecked, withIssues: summary.pagesWithIssues, total: summary.totalIssues })}
+            ${Object.entries(summary.bySeverity).filter(([, count]) => count > 0).map(([severity, count]) => `${severityTag(severity)} ${count}`).join(' ')}
+        </div>
+        <h4 class="report-heading">${t('report.a11yIssues')}</h4>
+        ${summaryRows ? `
+            <table class="audit-table">
+                <thead><tr><th>${t('report.columnSeverity')}</th><th>${t('report.columnIssue')}</th><th>WCAG</th><th>${t('report.columnPages')}</th><th>${t('report.columnOccurrences')}</th></tr></thead>
+                <tbody>${summaryRows}</tbody>
+            </table>
+        ` : `<div class="url-item">${t('report.a11yNoIssues')}</div>`}
+        ${pages ? `<h4 class="report-heading">${t('report.a11yPages')}</h4>${pages}` : ''}
+    `;
+    
+    urlsList.style.display = 'block';
+}
+
+function exportAccessibility() {
+    const accessibility = professionalCrawler.getResults().accessibility;
+    if (!accessibility) return;
+    downloadFile(accessibilityToCSV(accessibility), 'accessibility.csv', 'text/csv');
+}
+
+function viewExtractedData() {
+    const extraction = professionalCrawler.getResults().extraction;
+    const urlsContainer = document.getElementById('urlsContainer');
+    const urlsList = document.getElementById('urlsList');
+    if (!extraction) return;
+    stopLinkGraph();
+    
+    const rows = extraction.pages.map(page => `
+        <tr>
+            <td><a href="${escapeHtml(page.url)}" target="_blank">${escapeHtml(page.url)}</a></td>
+            ${extraction.fields.map(field => `<td>${escapeHtml(String(formatExtractedValue(page.fields[field])))}</td>`).join('')}
+        </tr>
+    `).join('');
+    
+    urlsContainer.innerHTML = `
+        <h4 class="report-heading">${t('report.extractionHeading', { count: extraction.pages.length })}</h4>
+        <table class="audit-table">
+            <thead><tr><th>URL</th>${extraction.fields.map(field => `<th>${escapeHtml(field)}</th>`).join('')}</tr></thead>
+            <tbody>${rows || `<tr><td colspan="${extraction.fields.length + 1}">${t('report.extractionEmpty')}</td></tr>`}</tbody>
+        </table>
+    `;
+    
+    urlsList.style.display = 'block';
+}
+
+function viewDuplicates() {
+    const duplicates = professionalCrawler.getResults().duplicates;
+    const urlsContainer = document.getElementById('urlsContainer');
+    const urlsList = document.getElementById('urlsList');
+    if (!duplicates) return;
+    
+    const renderClusters = (title, clusters, describe) => `
+        <h4 class="report-heading">${title} (${clusters.length})</h4>
+        ${clusters.length === 0 ? `<div class="url-item">${t('report.notFound')}</div>` : clusters.map(cluster => `
+            <div class="url-item">
+                <strong>${describe(cluster)}</strong>
+                <ul class="link-sources">
+                    ${cluster.urls.map(url => `<li><a href="${escapeHtml(url)}" target="_blank">${escapeHtml(url)}</a></li>`).join('')}
+                </ul>
+            </div>
+        `).join('')}
+    `;
+    
+    urlsContainer.innerHTML =
+        renderClusters(t('report.exactDuplicates'), duplicates.exactClusters,
+            cluster => t('report.exactCluster', { count: cluster.urls.length, hash: cluster.contentHash })) +
+        renderClusters(t('report.nearDuplicates'), duplicates.nearClusters,
+            cluster => t('report.nearCluster', { count: cluster.urls.length, percent: Math.round(cluster.similarity * 100) })) +
+        renderClusters(t('report.canonicalDuplicates'), duplicates.canonicalClusters,
+            cluster => `canonical: ${escapeHtml(cluster.canonical)}`);
+    
+    urlsList.style.display = 'block';
+}
+
+function renderUrlTreeNode(node) {
+    const status = node.url ? `<span class="status-badge ${getStatusClass(node.status || 'ERR')}">${node.status || 'ERR'}</span>` : '';
+    const link = node.url
+        ? `<a href="${escapeHtml(node.url)}" target="_blank">${escapeHtml(node.name)}</a>`
+        : escapeHtml(node.name);
+    
+    if (node.children.length === 0) {
+        return `<li class="tree-leaf">${status} ${link}</li>`;
+    }
+    
+    return `
+        <li>
+            <details ${node.pageCount <= 50 ? 'open' : ''}>
+                <summary>${status} ${link}/ <span class="tree-count">${node.pageCount}</span></summary>
+                <ul class="url-tree">${node.children.map(renderUrlTreeNode).join('')}</ul>
+            </details>
+        </li>
+    `;
+}
+
+function viewUrlTree() {
+    const tree = buildUrlTree(professionalCrawler.getResults().pages);
+    const urlsContainer = document.getElementById('urlsContainer');
+    const urlsList = document.getElementById('urlsList');
+    stopLinkGraph();
+    
+    urlsContainer.innerHTML = `
+        <div class="structure-toolbar">
+            <button onclick="exportUrlTree('svg')">📥 SVG</button>
+            <button onclick="exportUrlTree('png')">📥 PNG</button>
+        </div>
+        <ul class="url-tree">${tree.children.map(renderUrlTreeNode).join('')}</ul>
+    `;
+    
+    urlsList.style.display = 'block';
+}
+
+function exportUrlTree(format) {
+    const svg = urlTreeToSVG(buildUrlTree(professionalCrawler.getResults().pages));
+    exportSvg(svg, `url_tree.${format}`, format);
+}
+
+// Растеризация SVG через canvas; PNG собирается асинхронно
+function exportSvg(svg, filename, format) {
+    if (format === 'svg') {
+        downloadFile(svg, filename, 'image/svg+xml');
+        return;
+    }
+    
+    const image = new Image();
+    image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').drawImage(image, 0, 0);
+        canvas.toBlob(blob => downloadFile(blob, filename, 'image/png'), 'image/png');
+    };
+    image.onerror = () => showError(t('app.pngFailed'));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+// Граф ссылок анимируется, пока раскладка не успокоится; view - масштаб и сдвиг
+let linkGraphView = null;
+
+function stopLinkGraph() {
+    if (linkGraphView) {
+        cancelAnimationFrame(linkGraphView.frame);
+        linkGraphView = null;
+    }
+}
+
+function viewLinkGraph() {
+    const graph = professionalCrawler.getResults().linkGraph;
+    const urlsContainer = document.getElementById('urlsContainer');
+    const urlsList = document.getElementById('urlsList');
+    stopLinkGraph();
+    
+    if (graph.nodes.length === 0) {
+        urlsContainer.innerHTML = `<div class="url-item">${t('report.graphEmpty')}</div>`;
+        urlsList.style.display = 'block';
+        return;
+    }
+    
+    urlsContainer.innerHTML = `
+        <div class="structure-toolbar">
+            <label><input type="checkbox" id="graphDepthRings" onchange="toggleGraphDepthRings(this.checked)"> ${t('report.graphDepthRings')}</label>
+            <button onclick="exportLinkGraph('svg')">📥 SVG</button>
+            <button onclick="exportLinkGraph('png')">📥 PNG</button>
+            <button onclick="exportLinkGraph('graphml')">📥 GraphML</button>
+            <button onclick="exportLinkGraph('gexf')">📥 GEXF</button>
+        </div>
+        <div class="graph-legend">
+            <span style="color: ${STATUS_COLORS.ok}">●</span> 2xx
+            <span style="color: ${STATUS_COLORS.redirect}">●</span> ${t('report.graphRedirect')}
+            <span style="color: ${STATUS_COLORS.error}">●</span> ${t('report.graphError')}
+            ${t('report.graphSize')}
+        </div>
+        <svg id="linkGraph" class="link-graph" xmlns="http://www.w3.org/2000/svg">
+            <g id="linkGraphViewport">
+                <g class="graph-edges">${graph.edges.map(() => '<line/>').join('')}</g>
+                <g class="graph-nodes">${graph.nodes.map(node =>
+                    `<circle r="${getNodeRadius(node)}" fill="${getStatusColor(node)}"><title>${escapeHtml(node.id)}</title></circle>`
+                ).join('')}</g>
+            </g>
+        </svg>
+        <div class="graph-info" id="graphInfo">${t('report.graphHint')}</div>
+    `;
+    urlsList.style.display = 'block';
+    
+    const svg = document.getElementById('linkGraph');
+    const layout = new ForceLayout(graph, { width: svg.clientWidth || 900, height: svg.clientHeight || 600 });
+    linkGraphView = { layout, frame: null, scale: 1, offsetX: 0, offsetY: 0 };
+    
+    const lines = svg.querySelectorAll('.graph-edges line');
+    const circles = svg.querySelectorAll('.graph-nodes circle');
+    const viewport = document.getElementById('linkGraphViewport');
+    
+    const draw = () => {
+        layout.edges.forEach((edge, index) => {
+            const source = layout.nodesById.get(edge.source);
+            const target = layout.nodesById.get(edge.target);
+            lines[index].setAttribute('x1', source.x);
+            lines[index].setAttribute('y1', source.y);
+            lines[index].setAttribute('x2', target.x);
+            lines[index].setAttribute('y2', target.y);
+        });
+        layout.nodes.forEach((node, index) => {
+            circles[index].setAttribute('cx', node.x);
+            circles[index].setAttribute('cy', node.y);
+        });
+        viewport.setAttribute('transform',
+            `translate(${linkGraphView.offsetX} ${linkGraphView.offsetY}) scale(${linkGraphView.scale})`);
+    };
+    
+    const tick = () => {
+        const movement = layout.step();
+        draw();
+        linkGraphView.frame = movement / layout.nodes.length > 0.05 || layout.temperature > 0.8
+            ? requestAnimationFrame(tick)
+            : null;
+    };
+    linkGraphView.restart = () => {
+        layout.temperature = Math.max(layout.temperature, 0.5);
+        if (!linkGraphView.frame) linkGraphView.frame = requestAnimationFrame(tick);
+    };
+    linkGraphView.frame = requestAnimationFrame(tick);
+    
+    // Координаты мыши в системе раскладки с учетом масштаба и сдвига
+    const toLayout = event => {
+        const rect = svg.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left - linkGraphView.offsetX) / linkGraphView.scale,
+            y: (event.clientY - rect.top - linkGraphView.offsetY) / linkGraphView.scale
+        };
+    };
+    
+    let dragged = null;
+    let panStart = null;
+    circles.forEach((circle, index) => {
+        circle.addEventListener('mousedown', event => {
+            event.stopPropagation();
+            dragged = layout.nodes[index];
+            dragged.fixed = true;
+            showGraphNodeInfo(dragged, graph);
+        });
+    });
+    svg.addEventListener('mousedown', event => {
+        panStart = { x: event.clientX - linkGraphView.offsetX, y: event.clientY - linkGraphView.offsetY };
+    });
+    svg.addEventListener('mousemove', event => {
+        if (dragged) {
+            Object.assign(dragged, toLayout(event));
+            linkGraphView.restart();
+        } else if (panStart) {
+            linkGraphView.offsetX = event.clientX - panStart.x;
+            linkGraphView.offsetY = event.clientY - panStart.y;
+            draw();
+        }
+    });
+    const endDrag = () => {
+        if (dragged) dragged.fixed = false;
+        dragged = null;
+        panStart = null;
+    };
+    svg.addEventListener('mouseup', endDrag);
+    svg.addEventListener('mouseleave', endDrag);
+    svg.addEventListener('wheel', event => {
+        event.preventDefault();
+        const before = toLayout(event);
+        linkGraphView.scale = Math.min(8, Math.max(0.1, linkGraphView.scale * (event.deltaY < 0 ? 1.1 : 0.9)));
+        // Точка под курсором остается на месте
+        const rect = svg.getBoundingClientRect();
+        linkGraphView.offsetX = event.clientX - rect.left - before.x * linkGraphView.scale;
+        linkGraphView.offsetY = event.clientY - rect.top - before.y * linkGraphView.scale;
+        draw();
+    }, { passive: false });
+}
+
+function showGraphNodeInfo(node, graph) {
+    const outbound = graph.edges.filter(edge => edge.source === node.id).length;
+    document.getElementById('graphInfo').innerHTML = `
+        <span class="status-badge ${getStatusClass(node.status || 'ERR')}">${node.status || 'ERR'}</span>
+        <a href="${escapeHtml(node.id)}" target="_blank">${escapeHtml(node.id)}</a>
+        <span class="url-meta">${t('report.graphNode', { depth: node.depth ?? '—', inbound: node.inbound, outbound })}</span>
+    `;
+}
+
+function toggleGraphDepthRings(enabled) {
+    if (!linkGraphView) return;
+    linkGraphView.layout.options.depthRings = enabled;
+    linkGraphView.layout.temperature = 1;
+    linkGraphView.restart();
+}
+
+function exportLinkGraph(format) {
+    const graph = professionalCrawler.getResults().linkGraph;
+    
+    if (format === 'graphml') {
+        downloadFile(linkGraphToGraphML(graph), 'link_graph.graphml', 'application/xml');
+    } else if (format === 'gexf') {
+        downloadFile(linkGraphToGEXF(graph), 'link_graph.gexf', 'application/xml');
+    } else {
+        // Экспортируем то, что на экране; без открытого графа раскладка считается заново
+        const layout = linkGraphView ? linkGraphView.layout : new ForceLayout(graph).run();
+        exportSvg(linkGraphToSVG(layout), `link_graph.${format}`, format);
+    }
+}
+
+// Последнее сравнение с прошлым обходом - для экспорта
+let lastCrawlDiff = null;
+
+// Прошлый обход восстанавливается в отдельном краулере с теми же плагинами
+function createComparisonCrawler() {
+    const crawler = new ProfessionalWebCrawler();
+    crawler.use(new SeoAuditor());
+    crawler.use(new DuplicateDetector());
+    crawler.use(new ResourceAuditor());
+    crawler.use(new AccessibilityAuditor());
+    crawler.use(new DataExtractor());
+    return crawler;
+}
+
+function compareWithPrevious(data) {
+    const previous = loadComparableResults(data, createComparisonCrawler);
+    lastCrawlDiff = diffCrawlResults(previous, professionalCrawler.getResults());
+    viewCrawlDiff(lastCrawlDiff);
+    addLog('app.diffSummary', 'info', { added: lastCrawlDiff.summary.newPages, removed: lastCrawlDiff.summary.removedPages });
+}
+
+async function compareWithSession(id) {
+    const state = await professionalCrawler.sessionStore.load(id);
+    if (!state) {
+        showError(t('app.sessionNotFound'));
+        renderSavedSessions();
+        return;
+    }
+    
+    try {
+        compareWithPrevious(state);
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// JSON-экспорт результатов или файл сессии из CLI (--session-dir)
+async function compareWithFile(input) {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+    
+    try {
+        compareWithPrevious(JSON.parse(await file.text()));
+    } catch (error) {
+        showError(t('app.compareFailed', { file: file.name, message: error.message }));
+    }
+}
+
+function viewCrawlDiff(diff) {
+    const urlsContainer = document.getElementById('urlsContainer');
+    const urlsList = document.getElementById('urlsList');
+    stopLinkGraph();
+    
+    const fieldLabels = { title: 'Title', metaDescription: 'Description', contentHash: t('report.diffContent') };
+    const renderUrls = (title, items, describe) => `
+        <h4 class="report-heading">${title} (${items.length})</h4>
+        ${items.length === 0 ? `<div class="url-item">${t('report.none')}</div>` : items.map(item => `
+            <div class="url-item">
+                <a href="${escapeHtml(item.url)}" target="_blank">${escapeHtml(item.url)}</a>
+                ${describe(item)}
+            </div>
+        `).join('')}
+    `;
+    const statusBadge = status => `<span class="status-badge ${getStatusClass(status || 'ERR')}">${status || 'ERR'}</span>`;
+    const notCompared = Object.keys(fieldLabels).filter(field => !diff.comparedFields.includes(field));
+    
+    urlsContainer.innerHTML = `
+        <div class="structure-toolbar">
+            <button onclick="exportCrawlDiff('csv')">${t('report.diffExportCsv')}</button>
+            <button onclick="exportCrawlDiff('json')">${t('report.diffExportJson')}</button>
+        </div>
+        <div class="url-item">${t('report.diffTotals', { before: diff.previousTotal, after: diff.currentTotal })}</div>
+        ${notCompared.length > 0 ? `<div class="url-item url-meta">${t('report.diffNotCompared', { fields: notCompared.map(field => fieldLabels[field]).join(', ') })}</div>` : ''}
+        ${renderUrls(t('report.diffNewPages'), diff.newPages, page => statusBadge(page.status))}
+        ${renderUrls(t('report.diffRemovedPages'), diff.removedPages, page => statusBadge(page.status))}
+        ${renderUrls(t('report.diffStatusChanges'), diff.statusChanges, change => `${statusBadge(change.before)} → ${statusBadge(change.after)}`)}
+        ${renderUrls(t('report.diffNewBrokenLinks'), diff.newBrokenLinks, link => `${statusBadge(link.status)} <span class="url-meta">${t('report.diffBrokenLinkSources', { error: escapeHtml(link.error), count: link.sources.length })}</span>`)}
+        ${renderUrls(t('report.diffFixedBrokenLinks'), diff.fixedBrokenLinks, () => '')}
+        ${renderUrls(t('report.diffContentChanges'), diff.contentChanges, change => `
+            <span class="issue-tag">${fieldLabels[change.field]}</span>
+            ${change.field === 'contentHash' ? '' : `<div class="url-meta">«${escapeHtml(change.before ?? '—')}» → «${escapeHtml(change.after ?? '—')}»</div>`}
+        `)}
+    `;
+    
+    urlsList.style.display = 'block';
+}
+
+function exportCrawlDiff(format) {
+    if (!lastCrawlDiff) return;
+    
+    if (format === 'csv') {
+        downloadFile(crawlDiffToCSV(lastCrawlDiff), 'crawl_diff.csv', 'text/csv');
+    } else {
+        downloadFile(JSON.stringify(lastCrawlDiff, null, 2), 'crawl_diff.json', 'application/json');
+    }
+}
+
+function viewSitemapReport() {
+    const report = professionalCrawler.getSitemapReport();
+    const urlsContainer = document.getElementById('urlsContainer');
+    const urlsList = document.getElementById('urlsList');
+    
+    const renderGroup = (title, urls) => `
+        <h4 class="report-heading">${title} (${urls.length})</h4>
+        ${urls.map(url => `<div class="url-item"><a href="${escapeHtml(url)}" target="_blank">${escapeHtml(url)}</a></div>`).join('')}
+    `;
+    
+    urlsContainer.innerHTML =
+        renderGroup(t('report.sitemapOrphans'), report.orphanUrls) +
+        renderGroup(t('report.sitemapMissing'), report.missingFromSitemap);
+    
+    urlsList.style.display = 'block';
+}
+
+// Обработчики событий
+document.getElementById('urlInput').addEventListener('keypress', function(e) {
+    if (e.key === 'Enter') startCrawling();
+});
+
+document.getElementById('archiveQuery').addEventListener('keypress', function(e) {
+    if (e.key === 'Enter') searchArchive();
+});
+
+// Язык: выбранный раньше или язык браузера
+function applyTranslations() {
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.getAttribute('data-i18n'));
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.getAttribute('data-i18n-placeholder'));
+    });
+    document.querySelectorAll('[data-i18n-title]').forEach(element => {
+        element.title = t(element.getAttribute('data-i18n-title'));
+    });
+}
+
+function changeLanguage(locale) {
+    setLocale(locale);
+    if (typeof localStorage !== 'undefined') {
+        localStorage.setItem('crawlerLanguage', locale);
+    }
+    applyLanguage();
+}
+
+// Перерисовывается все, что собрано из шаблонов; открытый отчет закрывается - его проще открыть заново
+function applyLanguage() {
+    document.documentElement.lang = getLocale();
+    document.getElementById('languageSelect').value = getLocale();
+    applyTranslations();
+    updatePauseButton();
+    renderLog();
+    renderSavedSessions();
+    
+    if (document.getElementById('resultsSection').style.display === 'block') {
+        showResults(professionalCrawler.getResults());
+        stopLinkGraph();
+        document.getElementById('urlsList').style.display = 'none';
+    }
+}
+
+setLocale(normalizeLocale(
+    (typeof localStorage !== 'undefined' && localStorage.getItem('crawlerLanguage')) ||
+    (typeof navigator !== 'undefined' && navigator.language)
+) || DEFAULT_LOCALE);
+
+document.getElementById('logLevel').addEventListener('change', renderLog);
+document.getElementById('logSearch').addEventListener('input', renderLog);
+
+// При закрытии вкладки стараемся сохранить последнее состояние
+window.addEventListener('beforeunload', () => {
+    if (professionalCrawler.isCrawling) {
+        professionalCrawler.saveCheckpoint('running');
+    }
+});
+
+applyLanguage();
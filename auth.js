@@ -0,0 +1,261 @@
+// Авторизация краулера: Basic и Bearer, cookie jar, который хранит Set-Cookie между запросами,
+// импорт cookies из браузера и скрытие учетных данных в журнале запросов, экспортах и сессиях.
+
+// Заголовки с учетными данными: в журнал запросов, HAR и WARC попадают только как [redacted].
+// Метка - часть данных экспорта, поэтому одна на всех языках
+const SENSITIVE_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-proxy-set-cookie', 'x-proxy-token'];
+const REDACTED_VALUE = '[redacted]';
+
+// Настройки с секретами не сохраняются в сессии: при продолжении их задают заново
+const SECRET_CONFIG_KEYS = ['authPassword', 'authToken', 'localProxyToken', 'cookies', 'login'];
+
+function isSensitiveHeader(name) {
+    return SENSITIVE_HEADERS.includes(name.toLowerCase());
+}
+
+function redactHeaders(headers) {
+    return Object.fromEntries(Object.entries(headers || {})
+        .map(([name, value]) => [name, isSensitiveHeader(name) ? REDACTED_VALUE : value]));
+}
+
+// Скрытое значение нельзя восстановить, поэтому секретные заголовки из настроек просто убираем
+function redactConfig(config) {
+    const safe = { ...config };
+    SECRET_CONFIG_KEYS.forEach(key => delete safe[key]);
+    safe.requestHeaders = Object.fromEntries(Object.entries(config.requestHeaders || {})
+        .filter(([name]) => !isSensitiveHeader(name)));
+    return safe;
+}
+
+function encodeBase64(text) {
+    const bytes = new TextEncoder().encode(text);
+    return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+}
+
+// authType: 'none', 'basic' (authUsername, authPassword) или 'bearer' (authToken)
+function buildAuthHeaders(config) {
+    switch (config.authType) {
+        case 'basic':
+            return { Authorization: `Basic ${encodeBase64(`${config.authUsername}:${config.authPassword}`)}` };
+        case 'bearer':
+            return { Authorization: `Bearer ${config.authToken}` };
+        default:
+            return {};
+    }
+}
+
+// Cookie: { name, value, domain, path, hostOnly, secure, httpOnly, expires } (expires - мс или null)
+class CookieJar {
+    constructor() {
+        this.cookies = new Map();
+    }
+
+    get size() {
+        this.removeExpired();
+        return this.cookies.size;
+    }
+
+    add(cookie) {
+        const normalized = {
+            name: cookie.name,
+            value: cookie.value,
+            domain: cookie.domain.toLowerCase().replace(/^\./, ''),
+            path: cookie.path || '/',
+            hostOnly: Boolean(cookie.hostOnly),
+            secure: Boolean(cookie.secure),
+            httpOnly: Boolean(cookie.httpOnly),
+            expires: cookie.expires ?? null
+        };
+        const key = `${normalized.domain};${normalized.path};${normalized.name}`;
+
+        // Set-Cookie с датой в прошлом удаляет cookie
+        if (normalized.expires !== null && normalized.expires <= Date.now()) {
+            this.cookies.delete(key);
+        } else {
+            this.cookies.set(key, normalized);
+        }
+    }
+
+    // Разбор одного заголовка Set-Cookie (RFC 6265, без публичных суффиксов)
+    setCookie(header, requestUrl) {
+        const url = new URL(requestUrl);
+        const [pair, ...attributes] = header.split(';');
+        const separator = pair.indexOf('=');
+        if (separator <= 0) return;
+
+        const cookie = {
+            name: pair.slice(0, separator).trim(),
+            value: pair.slice(separator + 1).trim(),
+            domain: url.hostname,
+            path: url.pathname.slice(0, url.pathname.lastIndexOf('/')) || '/',
+            hostOnly: true,
+            secure: false,
+            httpOnly: false,
+            expires: null
+        };
+
+        let maxAge = null;
+        attributes.forEach(attribute => {
+            const [rawName, ...rest] = attribute.split('=');
+            const name = rawName.trim().toLowerCase();
+            const value = rest.join('=').trim();
+
+            if (name === 'domain' && value) {
+                cookie.domain = value.toLowerCase().replace(/^\./, '');
+                cookie.hostOnly = false;
+            } else if (name === 'path' && value.startsWith('/')) {
+                cookie.path = value;
+            } else if (name === 'expires') {
+                const time = Date.parse(value);
+                if (!isNaN(time)) cookie.expires = time;
+            } else if (name === 'max-age' && /^-?\d+$/.test(value)) {
+                maxAge = parseInt(value);
+            } else if (name === 'secure') {
+                cookie.secure = true;
+            } else if (name === 'httponly') {
+                cookie.httpOnly = true;
+            }
+        });
+        // Max-Age важнее Expires
+        if (maxAge !== null) {
+            cookie.expires = Date.now() + maxAge * 1000;
+        }
+
+        // Сайт не может ставить cookies чужому домену
+        if (!this.domainMatches(url.hostname, cookie.domain)) return;
+        this.add(cookie);
+    }
+
+    // Set-Cookie в Node.js доступен через getSetCookie(); браузер его скрывает,
+    // и proxy-server.js передает значения в X-Proxy-Set-Cookie
+    storeResponse(response, requestUrl) {
+        const headers = typeof response.headers.getSetCookie === 'function' ? response.headers.getSetCookie() : [];
+        const proxied = response.headers.get('x-proxy-set-cookie');
+        if (proxied) {
+            headers.push(...JSON.parse(decodeURIComponent(proxied)));
+        }
+        headers.forEach(header => this.setCookie(header, requestUrl));
+    }
+
+    domainMatches(host, domain) {
+        return host === domain || host.endsWith(`.${domain}`);
+    }
+
+    pathMatches(path, cookiePath) {
+        return path === cookiePath ||
+            (path.startsWith(cookiePath) && (cookiePath.endsWith('/') || path[cookiePath.length] === '/'));
+    }
+
+    removeExpired() {
+        const now = Date.now();
+        this.cookies.forEach((cookie, key) => {
+            if (cookie.expires !== null && cookie.expires <= now) this.cookies.delete(key);
+        });
+    }
+
+    getCookies(requestUrl) {
+        const url = new URL(requestUrl);
+        this.removeExpired();
+
+        return Array.from(this.cookies.values())
+            .filter(cookie => (cookie.hostOnly ? url.hostname === cookie.domain : this.domainMatches(url.hostname, cookie.domain)))
+            .filter(cookie => this.pathMatches(url.pathname, cookie.path))
+            .filter(cookie => !cookie.secure || url.protocol === 'https:')
+            // Более точный путь - раньше
+            .sort((a, b) => b.path.length - a.path.length);
+    }
+
+    getCookieHeader(requestUrl) {
+        return this.getCookies(requestUrl).map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+    }
+
+    clear() {
+        this.cookies.clear();
+    }
+}
+
+// Текст ошибки JSON.parse цитирует кусок входных данных, а в них могут быть пароли и cookies
+function parseSecretJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        const i18n = typeof module !== 'undefined' && module.exports ? require('./i18n.js') : { t };
+        throw new Error(i18n.t('auth.invalidJson'));
+    }
+}
+
+// Cookies, экспортированные из браузера: cookies.txt (Netscape), JSON-массив расширений
+// и storageState Playwright, или строка заголовка "name=value; name2=value2" для хоста defaultUrl
+function parseCookieImport(text, defaultUrl) {
+    const i18n = typeof module !== 'undefined' && module.exports ? require('./i18n.js') : { t };
+    const source = text.trim();
+    if (!source) return [];
+
+    if (source.startsWith('[') || source.startsWith('{')) {
+        const data = parseSecretJson(source);
+        const list = Array.isArray(data) ? data : data.cookies;
+        if (!Array.isArray(list)) {
+            throw new Error(i18n.t('auth.noCookieList'));
+        }
+
+        return list.map(cookie => {
+            // Расширения пишут expirationDate в секундах, Playwright - expires, -1 у сессионных
+            const expires = cookie.expirationDate ?? cookie.expires;
+            // Без domain cookie относится к сайту обхода, как у "name=value"
+            if (!cookie.domain && !defaultUrl) {
+                throw new Error(i18n.t('auth.cookieWithoutDomain', { name: cookie.name }));
+            }
+            const domain = cookie.domain || new URL(defaultUrl).hostname;
+            return {
+                name: cookie.name,
+                value: cookie.value,
+                domain,
+                path: cookie.path,
+                hostOnly: cookie.hostOnly ?? (!cookie.domain || !String(cookie.domain).startsWith('.')),
+                secure: cookie.secure,
+                httpOnly: cookie.httpOnly,
+                expires: expires > 0 ? expires * 1000 : null
+            };
+        });
+    }
+
+    const lines = source.split(/\r?\n/);
+    if (lines.some(line => line.split('\t').length >= 7)) {
+        return lines
+            .filter(line => line.trim() && (!line.startsWith('#') || line.startsWith('#HttpOnly_')))
+            .map(line => {
+                const httpOnly = line.startsWith('#HttpOnly_');
+                const [domain, includeSubdomains, path, secure, expires, name, value = ''] =
+                    (httpOnly ? line.slice('#HttpOnly_'.length) : line).split('\t');
+                return {
+                    name,
+                    value,
+                    domain,
+                    path,
+                    hostOnly: includeSubdomains !== 'TRUE',
+                    secure: secure === 'TRUE',
+                    httpOnly,
+                    expires: parseInt(expires) > 0 ? parseInt(expires) * 1000 : null
+                };
+            });
+    }
+
+    if (!defaultUrl) {
+        throw new Error(i18n.t('auth.cookieHeaderNeedsUrl'));
+    }
+    const host = new URL(defaultUrl).hostname;
+    return source.replace(/^cookie:\s*/i, '').split(';')
+        .map(pair => pair.trim())
+        .filter(pair => pair.includes('='))
+        .map(pair => {
+            const separator = pair.indexOf('=');
+            return { name: pair.slice(0, separator), value: pair.slice(separator + 1), domain: host, path: '/', hostOnly: true };
+        });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CookieJar, parseCookieImport, parseSecretJson, buildAuthHeaders, redactHeaders, redactConfig,
+        isSensitiveHeader, SENSITIVE_HEADERS, SECRET_CONFIG_KEYS
+    };
+}
@@ -0,0 +1,722 @@
+#!/usr/bin/env node
+// Headless-запуск краулера из командной строки (cron, CI)
+//
+//   node cli.js https://example.com --max-pages 1000 --output report.json
+//   node cli.js --session-dir sessions --resume latest
+//
+// HTML разбирается пакетом linkedom: npm install linkedom.
+// Для --js нужен puppeteer или playwright (выбирается через --renderer).
+// Журнал пишется в stderr (--lang en - по-английски, --log-level - без лишних записей), результаты - в файл --output или в stdout.
+// С --compare результаты сравниваются с прошлым обходом (JSON-экспорт или сессия).
+// С --rules со страниц извлекаются данные по правилам (CSS, XPath, regex); для XPath нужен npm install xpath.
+// С --accessibility-output проблемы доступности (WCAG) по страницам пишутся в CSV для отчета клиенту.
+// Закрытые сайты: --user, --bearer, --cookies, --login (вход через форму, нужен puppeteer или playwright).
+// Пароль и токен можно передать через CRAWLER_PASSWORD и CRAWLER_TOKEN, чтобы их не было видно в списке процессов.
+// С --profile URL и настройки берутся из профиля (scheduler.js); результаты сравниваются с прошлым запуском
+// профиля из --state-dir, и при срабатывании условий отправляются оповещения. По расписанию профили запускает daemon.js.
+// Код выхода: 0 - успех, 1 - ошибок больше порога --max-failures,
+// 2 - неверные аргументы или сбой, 130 - прервано (Ctrl+C).
+
+const fs = require('fs');
+const path = require('path');
+const { ProfessionalWebCrawler, LOG_LEVELS } = require('./crawler.js');
+const { t, setLocale, resolveCliLocale } = require('./i18n.js');
+const {
+    PAGE_COLUMNS, resultsToCSV, resultsToJSON, resultsToTXT, crawlDiffToCSV, resourcesToCSV, accessibilityToCSV, linkGraphToGraphML, linkGraphToGEXF,
+    resultsToSitemaps, resultsToXLSX, requestLogToHAR
+} = require('./exporters.js');
+const { FileSessionStore } = require('./session-store.js');
+const { SeoAuditor } = require('./seo-audit.js');
+const { DuplicateDetector } = require('./duplicate-detector.js');
+const { PageArchive, FileArchiveStore } = require('./page-archive.js');
+const { DataExtractor, parseRuleSet } = require('./data-extractor.js');
+const { ResourceAuditor } = require('./resource-audit.js');
+const { AccessibilityAuditor } = require('./accessibility-audit.js');
+const { parseCookieImport, parseSecretJson } = require('./auth.js');
+const { HeadlessRenderer } = require('./renderer.js');
+const { diffCrawlResults, loadComparableResults } = require('./crawl-diff.js');
+const { parseProfile, evaluateAlerts } = require('./scheduler.js');
+const { sendAlerts } = require('./notifier.js');
+
+// context: { crawler, archive, columns }. sitemap возвращает список файлов, остальные - содержимое одного
+const FORMATTERS = {
+    json: resultsToJSON,
+    csv: (results, { columns }) => resultsToCSV(results, columns),
+    xlsx: (results, { columns }) => resultsToXLSX(results, columns),
+    txt: resultsToTXT,
+    sitemap: results => resultsToSitemaps(results),
+    har: (results, { crawler }) => requestLogToHAR(crawler.requestLog),
+    warc: (results, { archive }) => archive.exportWarc(),
+    graphml: results => linkGraphToGraphML(results.linkGraph),
+    gexf: results => linkGraphToGEXF(results.linkGraph)
+};
+
+// Флаги повторяют настройки из index.html; description - ключ справки в i18n.js
+const OPTIONS = [
+    { flag: '--max-pages', key: 'maxPages', type: 'int', description: 'help.cli.maxPages' },
+    { flag: '--delay', key: 'delay', type: 'int', description: 'help.cli.delay' },
+    { flag: '--concurrency', key: 'concurrency', type: 'int', description: 'help.cli.concurrency' },
+    { flag: '--timeout', key: 'requestTimeout', type: 'int', description: 'help.cli.requestTimeout' },
+    { flag: '--transport', key: 'transport', type: 'string', description: 'help.cli.transport' },
+    { flag: '--proxy', key: 'proxyTemplates', type: 'append', description: 'help.cli.proxyTemplates' },
+    { flag: '--local-proxy', key: 'localProxyUrl', type: 'string', description: 'help.cli.localProxyUrl' },
+    { flag: '--proxy-token', key: 'localProxyToken', type: 'string', description: 'help.cli.localProxyToken' },
+    { flag: '--retries', key: 'retries', type: 'int', description: 'help.cli.retries' },
+    { flag: '--retry-delay', key: 'retryBaseDelay', type: 'int', description: 'help.cli.retryBaseDelay' },
+    { flag: '--max-attempts', key: 'maxPageAttempts', type: 'int', description: 'help.cli.maxPageAttempts' },
+    { flag: '--page-retry-delay', key: 'pageRetryDelay', type: 'int', description: 'help.cli.pageRetryDelay' },
+    { flag: '--max-delay', key: 'maxAdaptiveDelay', type: 'int', description: 'help.cli.maxAdaptiveDelay' },
+    { flag: '--no-adaptive-delay', key: 'adaptiveThrottle', type: 'negate', description: 'help.cli.adaptiveThrottle' },
+    { flag: '--header', key: 'headers', type: 'append', cli: true, description: 'help.cli.headers' },
+    { flag: '--user', key: 'user', type: 'string', cli: true, description: 'help.cli.user' },
+    { flag: '--bearer', key: 'bearer', type: 'string', cli: true, description: 'help.cli.bearer' },
+    { flag: '--cookies', key: 'cookiesFile', type: 'string', cli: true, description: 'help.cli.cookiesFile' },
+    { flag: '--cookie', key: 'cookie', type: 'append', cli: true, description: 'help.cli.cookie' },
+    { flag: '--no-cookie-jar', key: 'useCookieJar', type: 'negate', description: 'help.cli.useCookieJar' },
+    { flag: '--login', key: 'loginFile', type: 'string', cli: true, description: 'help.cli.loginFile' },
+    { flag: '--js', key: 'usePuppeteer', type: 'bool', description: 'help.cli.usePuppeteer' },
+    { flag: '--renderer', key: 'renderBackend', type: 'string', description: 'help.cli.renderBackend' },
+    { flag: '--wait-until', key: 'renderWaitUntil', type: 'string', description: 'help.cli.renderWaitUntil' },
+    { flag: '--wait-for', key: 'renderWaitForSelector', type: 'string', description: 'help.cli.renderWaitForSelector' },
+    { flag: '--compare-rendered', key: 'compareRenderedLinks', type: 'bool', description: 'help.cli.compareRenderedLinks' },
+    { flag: '--no-robots', key: 'respectRobots', type: 'negate', description: 'help.cli.respectRobots' },
+    { flag: '--user-agent', key: 'userAgent', type: 'string', description: 'help.cli.userAgent' },
+    { flag: '--sitemaps', key: 'useSitemaps', type: 'bool', description: 'help.cli.useSitemaps' },
+    { flag: '--check-external', key: 'checkExternalLinks', type: 'bool', description: 'help.cli.checkExternalLinks' },
+    { flag: '--seo-audit', key: 'seoAudit', type: 'bool', description: 'help.cli.seoAudit' },
+    { flag: '--audit-resources', key: 'auditResources', type: 'bool', description: 'help.cli.auditResources' },
+    { flag: '--resource-method', key: 'resourceRequestMethod', type: 'string', description: 'help.cli.resourceRequestMethod' },
+    { flag: '--resources-output', key: 'resourcesOutput', type: 'string', cli: true, description: 'help.cli.resourcesOutput' },
+    { flag: '--audit-accessibility', key: 'auditAccessibility', type: 'bool', description: 'help.cli.auditAccessibility' },
+    { flag: '--accessibility-output', key: 'accessibilityOutput', type: 'string', cli: true, description: 'help.cli.accessibilityOutput' },
+    { flag: '--no-duplicates', key: 'detectDuplicates', type: 'negate', description: 'help.cli.detectDuplicates' },
+    { flag: '--archive', key: 'archivePages', type: 'bool', description: 'help.cli.archivePages' },
+    { flag: '--archive-html', key: 'archiveRawHtml', type: 'bool', description: 'help.cli.archiveRawHtml' },
+    { flag: '--archive-dir', key: 'archiveDir', type: 'string', cli: true, description: 'help.cli.archiveDir' },
+    { flag: '--rules', key: 'rules', type: 'string', cli: true, description: 'help.cli.rules' },
+    { flag: '--scope', key: 'scope', type: 'string', description: 'help.cli.scope' },
+    { flag: '--allowed-hosts', key: 'allowedHosts', type: 'list', description: 'help.cli.allowedHosts' },
+    { flag: '--max-depth', key: 'maxDepth', type: 'int', description: 'help.cli.maxDepth' },
+    { flag: '--include', key: 'includePatterns', type: 'append', description: 'help.cli.includePatterns' },
+    { flag: '--exclude', key: 'excludePatterns', type: 'append', description: 'help.cli.excludePatterns' },
+    { flag: '--keep-www', key: 'stripWww', type: 'negate', description: 'help.cli.stripWww' },
+    { flag: '--keep-trailing-slash', key: 'stripTrailingSlash', type: 'negate', description: 'help.cli.stripTrailingSlash' },
+    { flag: '--keep-param-order', key: 'sortQueryParams', type: 'negate', description: 'help.cli.sortQueryParams' },
+    { flag: '--lowercase-paths', key: 'lowercasePaths', type: 'bool', description: 'help.cli.lowercasePaths' },
+    { flag: '--index-files', key: 'indexFiles', type: 'list', description: 'help.cli.indexFiles' },
+    { flag: '--ignore-params', key: 'ignoredParams', type: 'list', description: 'help.cli.ignoredParams' },
+    { flag: '--exclude-ext', key: 'excludedExtensions', type: 'list', description: 'help.cli.excludedExtensions' },
+    { flag: '--output', alias: '-o', key: 'output', type: 'string', cli: true, description: 'help.cli.output' },
+    { flag: '--format', key: 'format', type: 'string', cli: true, description: 'help.cli.format' },
+    { flag: '--columns', key: 'columns', type: 'list', cli: true, description: 'help.cli.columns' },
+    { flag: '--compare', key: 'compare', type: 'string', cli: true, description: 'help.cli.compare' },
+    { flag: '--diff-output', key: 'diffOutput', type: 'string', cli: true, description: 'help.cli.diffOutput' },
+    { flag: '--profile', key: 'profile', type: 'string', cli: true, description: 'help.cli.profile' },
+    { flag: '--state-dir', key: 'stateDir', type: 'string', cli: true, description: 'help.cli.stateDir' },
+    { flag: '--max-failures', key: 'maxFailures', type: 'string', cli: true, description: 'help.cli.maxFailures' },
+    { flag: '--session-dir', key: 'sessionDir', type: 'string', cli: true, description: 'help.cli.sessionDir' },
+    { flag: '--resume', key: 'resume', type: 'string', cli: true, description: 'help.cli.resume' },
+    { flag: '--list-sessions', key: 'listSessions', type: 'bool', cli: true, description: 'help.cli.listSessions' },
+    { flag: '--delete-session', key: 'deleteSession', type: 'string', cli: true, description: 'help.cli.deleteSession' },
+    { flag: '--quiet', alias: '-q', key: 'quiet', type: 'bool', cli: true, description: 'help.cli.quiet' },
+    { flag: '--log-level', key: 'logLevel', type: 'string', cli: true, description: 'help.cli.logLevel' },
+    { flag: '--lang', key: 'lang', type: 'string', cli: true, description: 'help.cli.lang' },
+    { flag: '--help', alias: '-h', key: 'help', type: 'bool', cli: true, description: 'help.cli.help' }
+];
+
+function writeLog(message, timestamp = Date.now()) {
+    process.stderr.write(`[${new Date(timestamp).toLocaleTimeString()}] ${message}\n`);
+}
+
+// Журнал и прогресс в stderr через события краулера; записи ниже minLevel не выводятся
+function attachConsoleReporter(crawler, minLevel) {
+    const threshold = LOG_LEVELS.indexOf(minLevel);
+    crawler.on('log', ({ message, level, timestamp }) => {
+        if (LOG_LEVELS.indexOf(level) < threshold) return;
+        writeLog(message, timestamp);
+    });
+
+    crawler.on('progress', data => {
+        if (threshold > LOG_LEVELS.indexOf('info') || data.pagesProcessed % 10 !== 0) return;
+        writeLog(t('cli.progress', { visited: data.visited, queued: data.queued, failed: data.failed, remaining: data.timeEstimate }));
+    });
+}
+
+function printHelp() {
+    const lines = OPTIONS.map(option => {
+        const names = option.alias ? `${option.alias}, ${option.flag}` : option.flag;
+        const value = ['int', 'string', 'list', 'append'].includes(option.type) ? ' <value>' : '';
+        return `  ${(names + value).padEnd(30)} ${t(option.description, { columns: PAGE_COLUMNS.map(column => column.id).join(',') })}`;
+    });
+
+    process.stdout.write(`${t('help.cli.usage')}\n\n${lines.join('\n')}\n`);
+}
+
+function parseArgs(argv) {
+    const config = {};
+    const cliOptions = {};
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const option = OPTIONS.find(candidate => candidate.flag === arg || candidate.alias === arg);
+
+        if (!option) {
+            if (arg.startsWith('-')) {
+                throw new Error(t('cli.unknownFlag', { flag: arg }));
+            }
+            positional.push(arg);
+            continue;
+        }
+
+        const target = option.cli ? cliOptions : config;
+
+        if (option.type === 'bool') {
+            target[option.key] = true;
+        } else if (option.type === 'negate') {
+            target[option.key] = false;
+        } else {
+            const value = argv[++i];
+            if (value === undefined) {
+                throw new Error(t('cli.flagNeedsValue', { flag: arg }));
+            }
+
+            if (option.type === 'int') {
+                const number = parseInt(value);
+                if (isNaN(number) || number < 0) {
+                    throw new Error(t('cli.flagNeedsNumber', { flag: arg }));
+                }
+                target[option.key] = number;
+            } else if (option.type === 'list') {
+                target[option.key] = value.split(',').map(item => item.trim()).filter(Boolean);
+            } else if (option.type === 'append') {
+                target[option.key] = [...(target[option.key] || []), value];
+            } else {
+                target[option.key] = value;
+            }
+        }
+    }
+
+    return { config, cliOptions, startUrl: positional[0] };
+}
+
+// ["Имя: значение", ...] в объект заголовков; null, если строка без двоеточия
+function parseHeaders(lines) {
+    const headers = {};
+    for (const line of lines) {
+        const separator = line.indexOf(':');
+        if (separator <= 0) return null;
+        headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+    return headers;
+}
+
+// "10" - не больше 10 ошибок, "5%" - не больше 5% обработанных страниц
+function exceedsFailureThreshold(threshold, results) {
+    if (threshold === undefined) return false;
+
+    const failures = results.failedUrls.length;
+    if (threshold.endsWith('%')) {
+        const percent = parseFloat(threshold);
+        return results.totalPages > 0 && (failures / results.totalPages) * 100 > percent;
+    }
+
+    return failures > parseInt(threshold);
+}
+
+async function listSessions(store) {
+    const sessions = await store.list();
+    if (sessions.length === 0) {
+        process.stdout.write(`${t('cli.noSessions')}\n`);
+        return;
+    }
+
+    sessions.forEach(session => {
+        process.stdout.write([
+            session.id,
+            session.status,
+            new Date(session.savedAt).toISOString(),
+            `${session.visited}/${session.maxPages}`,
+            `queue=${session.queued}`,
+            session.startUrl
+        ].join('\t') + '\n');
+    });
+}
+
+async function loadSessionToResume(store, id) {
+    if (id !== 'latest') return store.load(id);
+
+    const latest = (await store.list()).find(session => session.status !== 'completed');
+    return latest ? store.load(latest.id) : null;
+}
+
+// Прошлый обход: путь к файлу, id сессии или latest - последняя завершенная сессия
+async function loadPreviousCrawl(store, value) {
+    if (fs.existsSync(value)) {
+        return JSON.parse(fs.readFileSync(value, 'utf8'));
+    }
+    if (value !== 'latest') return store.load(value);
+
+    const latest = (await store.list()).find(session => session.status === 'completed');
+    return latest ? store.load(latest.id) : null;
+}
+
+// "env:ИМЯ" - значение из переменной окружения, чтобы не хранить пароли в файлах
+function resolveEnvValue(value, label) {
+    if (typeof value !== 'string' || !value.startsWith('env:')) return value;
+
+    const envName = value.slice(4);
+    if (process.env[envName] === undefined) {
+        throw new Error(t('cli.envMissing', { name: envName, label }));
+    }
+    return process.env[envName];
+}
+
+// Учетные данные из флагов в настройки краулера; siteUrl - хост для cookies вида "name=value"
+function applyAuthOptions(cliOptions, config, siteUrl) {
+    if (cliOptions.user) {
+        const separator = cliOptions.user.indexOf(':');
+        config.authType = 'basic';
+        config.authUsername = separator >= 0 ? cliOptions.user.slice(0, separator) : cliOptions.user;
+        config.authPassword = separator >= 0 ? cliOptions.user.slice(separator + 1) : process.env.CRAWLER_PASSWORD;
+        if (config.authPassword === undefined) {
+            throw new Error(t('cli.passwordEnvMissing'));
+        }
+    }
+
+    if (cliOptions.bearer) {
+        config.authType = 'bearer';
+        config.authToken = cliOptions.bearer === '-' ? process.env.CRAWLER_TOKEN : cliOptions.bearer;
+        if (!config.authToken) {
+            throw new Error(t('cli.tokenEnvMissing'));
+        }
+    }
+
+    const cookies = [];
+    if (cliOptions.cookiesFile) {
+        cookies.push(...parseCookieImport(fs.readFileSync(cliOptions.cookiesFile, 'utf8'), siteUrl));
+    }
+    (cliOptions.cookie || []).forEach(value => cookies.push(...parseCookieImport(value, siteUrl)));
+    if (cookies.length > 0) {
+        config.cookies = cookies;
+    }
+
+    if (cliOptions.loginFile) {
+        const login = parseSecretJson(fs.readFileSync(cliOptions.loginFile, 'utf8'));
+        if (!login.url) {
+            throw new Error(t('cli.loginUrlMissing', { file: cliOptions.loginFile }));
+        }
+        const fields = Object.fromEntries(Object.entries(login.fields || {})
+            .map(([selector, value]) => [selector, resolveEnvValue(String(value), t('cli.envLabelField', { selector }))]));
+        config.login = { url: login.url, fields, submit: login.submit || '', waitFor: login.waitFor || '' };
+    }
+}
+
+// Профиль не хранит секретов: пароль и токен задаются как "env:ИМЯ" или берутся из CRAWLER_PASSWORD и CRAWLER_TOKEN
+function loadProfile(file) {
+    const profile = parseProfile(parseSecretJson(fs.readFileSync(file, 'utf8')), path.basename(file, path.extname(file)));
+    const config = profile.config;
+
+    if (config.authType === 'basic') {
+        config.authPassword = resolveEnvValue(config.authPassword ?? 'env:CRAWLER_PASSWORD', t('cli.envLabelPassword'));
+    } else if (config.authType === 'bearer') {
+        config.authToken = resolveEnvValue(config.authToken ?? 'env:CRAWLER_TOKEN', t('cli.envLabelToken'));
+    }
+    profile.alerts.channels = profile.alerts.channels.map(channel => Object.fromEntries(Object.entries(channel)
+        .map(([key, value]) => [key, resolveEnvValue(value, t('cli.envLabelChannel', { type: channel.type }))])));
+
+    // Смену title видно только при SEO-аудите в обоих обходах
+    if (profile.alerts.rules.some(rule => rule.type === 'title_changed')) {
+        config.seoAudit = true;
+    }
+    return profile;
+}
+
+function profileStatePath(stateDir, profile) {
+    return path.join(stateDir, `${profile.name}.json`);
+}
+
+// Условия проверяются по сравнению с прошлым запуском; первый запуск только запоминает результаты
+async function checkProfileAlerts(profile, diff, crawler) {
+    const alerts = evaluateAlerts(profile.alerts.rules, diff, (url, pattern) => crawler.matchesUrlPattern(url, pattern));
+    if (profile.alerts.rules.some(rule => rule.type === 'title_changed') && !diff.comparedFields.includes('title')) {
+        crawler.log('cli.titleNotChecked', 'warning');
+    }
+    if (alerts.length === 0) {
+        crawler.log('cli.noAlerts', 'info');
+        return;
+    }
+
+    alerts.forEach(alert => crawler.log('cli.alert', 'warning', { message: alert.message }));
+    const report = {
+        profile: profile.name,
+        startUrl: profile.startUrl,
+        finishedAt: Date.now(),
+        totalPages: diff.currentTotal,
+        alerts
+    };
+    const results = await sendAlerts(profile.alerts.channels, report);
+    results.forEach(({ channel, error }) => {
+        if (error) {
+            crawler.log('cli.alertFailed', 'error', { channel: channel.type, error });
+        } else {
+            crawler.log('cli.alertSent', 'success', { channel: channel.type });
+        }
+    });
+}
+
+function createCrawler() {
+    const crawler = new ProfessionalWebCrawler();
+    crawler.use(new SeoAuditor());
+    crawler.use(new DuplicateDetector());
+    crawler.use(new ResourceAuditor());
+    crawler.use(new AccessibilityAuditor());
+    crawler.use(new DataExtractor());
+    return crawler;
+}
+
+function writeDiffSummary(diff) {
+    const { summary } = diff;
+    writeLog(t('cli.diffSummary', {
+        before: diff.previousTotal,
+        after: diff.currentTotal,
+        added: summary.newPages,
+        removed: summary.removedPages,
+        statusChanges: summary.statusChanges,
+        brokenLinks: summary.newBrokenLinks,
+        contentChanges: summary.contentChanges
+    }));
+}
+
+// Несколько файлов (sitemap больше 50 000 URL) пишутся рядом с --output: он становится индексом
+function writeOutput(output, outputPath, crawler) {
+    const files = Array.isArray(output) ? output : [{ content: output }];
+
+    if (!outputPath) {
+        if (files.length > 1) {
+            process.stderr.write(`${t('cli.multipleFiles', { count: files.length })}\n`);
+            return false;
+        }
+        process.stdout.write(typeof files[0].content === 'string' ? files[0].content + '\n' : files[0].content);
+        return true;
+    }
+
+    files.forEach((file, index) => {
+        const filePath = index === 0 ? outputPath : path.join(path.dirname(outputPath), file.name);
+        fs.writeFileSync(filePath, file.content);
+        crawler.log('cli.resultsSaved', 'success', { path: filePath });
+    });
+    return true;
+}
+
+// Папки для файлов с результатами проверяются до обхода: ошибка записи после него стоила бы всех результатов
+function findMissingOutputDir(paths) {
+    for (const filePath of paths.filter(Boolean)) {
+        const dir = path.dirname(path.resolve(filePath));
+        if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+            return { path: filePath, dir };
+        }
+    }
+    return null;
+}
+
+function resolveFormat(cliOptions) {
+    if (cliOptions.format) return cliOptions.format.toLowerCase();
+    if (cliOptions.output) {
+        const extension = path.extname(cliOptions.output).slice(1).toLowerCase();
+        if (extension === 'xml') return 'sitemap';
+        if (FORMATTERS[extension]) return extension;
+    }
+    return 'json';
+}
+
+async function main() {
+    const argv = process.argv.slice(2);
+    try {
+        setLocale(resolveCliLocale(argv, process.env.CRAWLER_LANG));
+    } catch (error) {
+        process.stderr.write(`${error.message}\n`);
+        return 2;
+    }
+
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+    } catch (error) {
+        process.stderr.write(`${t('cli.error', { message: error.message })}\n`);
+        return 2;
+    }
+
+    const { config, cliOptions } = parsed;
+    let { startUrl } = parsed;
+
+    const logLevel = cliOptions.quiet ? 'error' : (cliOptions.logLevel || 'debug').toLowerCase();
+    if (!LOG_LEVELS.includes(logLevel)) {
+        process.stderr.write(`${t('cli.invalidLogLevel', { allowed: LOG_LEVELS.join(', '), value: cliOptions.logLevel })}\n`);
+        return 2;
+    }
+
+    let profile = null;
+    if (cliOptions.profile) {
+        try {
+            profile = loadProfile(cliOptions.profile);
+        } catch (error) {
+            process.stderr.write(`${t('cli.profileFailed', { file: cliOptions.profile, message: error.message })}\n`);
+            return 2;
+        }
+        // Флаги командной строки переопределяют настройки профиля
+        Object.keys(profile.config).forEach(key => {
+            if (!(key in config)) config[key] = profile.config[key];
+        });
+        startUrl = startUrl || profile.startUrl;
+        cliOptions.output = cliOptions.output || profile.output;
+    }
+    const stateDir = cliOptions.stateDir || '.crawler-state';
+
+    if (!config.transport) {
+        if (config.proxyTemplates) config.transport = 'proxy';
+        else if (config.localProxyUrl) config.transport = 'local-proxy';
+    }
+    if (config.archiveRawHtml) {
+        config.archivePages = true;
+    }
+    if (cliOptions.resourcesOutput) {
+        config.auditResources = true;
+    }
+    if (cliOptions.accessibilityOutput) {
+        config.auditAccessibility = true;
+    }
+    if (config.resourceRequestMethod) {
+        config.resourceRequestMethod = config.resourceRequestMethod.toUpperCase();
+        if (!['HEAD', 'GET'].includes(config.resourceRequestMethod)) {
+            process.stderr.write(`${t('cli.invalidResourceMethod', { value: config.resourceRequestMethod })}\n`);
+            return 2;
+        }
+    }
+
+    if (cliOptions.help) {
+        printHelp();
+        return 0;
+    }
+
+    const sessionStore = new FileSessionStore(cliOptions.sessionDir || '.crawler-sessions');
+    // Архив страниц хранится по сессиям и удаляется вместе с сессией
+    const archiveStore = new FileArchiveStore(cliOptions.archiveDir || path.join(stateDir, 'archive'));
+
+    if (cliOptions.listSessions) {
+        await listSessions(sessionStore);
+        return 0;
+    }
+
+    if (cliOptions.deleteSession) {
+        await sessionStore.delete(cliOptions.deleteSession);
+        await archiveStore.deleteSession(cliOptions.deleteSession);
+        process.stderr.write(`${t('cli.sessionDeleted', { id: cliOptions.deleteSession })}\n`);
+        return 0;
+    }
+
+    let resumeState = null;
+    if (cliOptions.resume) {
+        resumeState = await loadSessionToResume(sessionStore, cliOptions.resume);
+        if (!resumeState) {
+            process.stderr.write(`${t('cli.sessionNotFound', { id: cliOptions.resume })}\n`);
+            return 2;
+        }
+    }
+
+    if (!startUrl && !resumeState) {
+        printHelp();
+        return 2;
+    }
+
+    const format = resolveFormat(cliOptions);
+    if (!FORMATTERS[format]) {
+        process.stderr.write(`${t('cli.unknownFormat', { format })}\n`);
+        return 2;
+    }
+
+    // Прошлый обход читаем до начала: ошибка в пути не должна стоить целого обхода
+    let previousResults = null;
+    if (profile && !cliOptions.compare && fs.existsSync(profileStatePath(stateDir, profile))) {
+        cliOptions.compare = profileStatePath(stateDir, profile);
+    }
+    if (cliOptions.compare) {
+        try {
+            const previous = await loadPreviousCrawl(sessionStore, cliOptions.compare);
+            if (!previous) {
+                process.stderr.write(`${t('cli.previousNotFound', { value: cliOptions.compare })}\n`);
+                return 2;
+            }
+            previousResults = loadComparableResults(previous, createCrawler);
+        } catch (error) {
+            process.stderr.write(`${t('cli.previousFailed', { message: error.message })}\n`);
+            return 2;
+        }
+    }
+
+    const missingOutputDir = findMissingOutputDir([
+        cliOptions.output,
+        cliOptions.diffOutput,
+        cliOptions.resourcesOutput,
+        cliOptions.accessibilityOutput
+    ]);
+    if (missingOutputDir) {
+        process.stderr.write(`${t('cli.outputDirMissing', missingOutputDir)}\n`);
+        return 2;
+    }
+
+    try {
+        applyAuthOptions(cliOptions, config, startUrl || resumeState.startUrl);
+    } catch (error) {
+        process.stderr.write(`${t('cli.authFailed', { message: error.message })}\n`);
+        return 2;
+    }
+
+    if (cliOptions.rules) {
+        try {
+            config.extractionRules = parseRuleSet(JSON.parse(fs.readFileSync(cliOptions.rules, 'utf8')));
+        } catch (error) {
+            process.stderr.write(`${t('cli.rulesFailed', { file: cliOptions.rules, message: error.message })}\n`);
+            return 2;
+        }
+    }
+
+    // Колонки extract:<имя> берутся из правил: новых или сохраненных в продолжаемой сессии
+    const extractionRules = config.extractionRules || (resumeState && resumeState.config.extractionRules) || [];
+    const unknownColumn = (cliOptions.columns || []).find(id => !PAGE_COLUMNS.some(column => column.id === id) &&
+        !extractionRules.some(rule => id === `extract:${rule.name}`));
+    if (unknownColumn) {
+        process.stderr.write(`${t('cli.unknownColumn', { column: unknownColumn })}\n`);
+        return 2;
+    }
+
+    if (cliOptions.maxFailures !== undefined && isNaN(parseFloat(cliOptions.maxFailures))) {
+        process.stderr.write(`${t('cli.invalidMaxFailures', { value: cliOptions.maxFailures })}\n`);
+        return 2;
+    }
+
+    const crawler = createCrawler();
+    const archive = new PageArchive(archiveStore);
+    crawler.use(archive);
+    if (cliOptions.headers) {
+        const headers = parseHeaders(cliOptions.headers);
+        if (!headers) {
+            process.stderr.write(`${t('cli.invalidHeader')}\n`);
+            return 2;
+        }
+        config.requestHeaders = { ...crawler.config.requestHeaders, ...headers };
+    }
+    crawler.updateConfig({ seoAudit: false, ...config });
+
+    // Без парсера HTML ссылки не извлечь - проверяем до начала обхода
+    try {
+        crawler.parseHtmlDocument('<html></html>');
+    } catch (error) {
+        process.stderr.write(`${t('cli.error', { message: error.message })}\n`);
+        return 2;
+    }
+
+    // Флаги командной строки переопределяют сохраненные настройки
+    if (resumeState) {
+        resumeState.config = { ...resumeState.config, ...config };
+    }
+
+    const effectiveConfig = { ...crawler.config, ...(resumeState ? resumeState.config : {}) };
+    if (format === 'warc' && !effectiveConfig.archivePages) {
+        process.stderr.write(`${t('cli.warcNeedsArchive')}\n`);
+        return 2;
+    }
+
+    if (effectiveConfig.usePuppeteer || effectiveConfig.login) {
+        // Браузер запускаем заранее: без него обход с --js или --login бессмыслен
+        try {
+            crawler.renderer = new HeadlessRenderer(effectiveConfig.renderBackend);
+            await crawler.renderer.launch();
+        } catch (error) {
+            process.stderr.write(`${t('cli.error', { message: error.message })}\n`);
+            return 2;
+        }
+    }
+
+    attachConsoleReporter(crawler, logLevel);
+
+    // Сессия сохраняется, только если об этом попросили
+    if (cliOptions.sessionDir || resumeState) {
+        crawler.sessionStore = sessionStore;
+    }
+
+    let completed = false;
+    crawler.once('complete', () => {
+        completed = true;
+    });
+
+    let interrupted = false;
+    process.once('SIGINT', () => {
+        interrupted = true;
+        crawler.stopCrawling();
+    });
+
+    try {
+        if (resumeState) {
+            await crawler.resumeCrawling(resumeState);
+        } else {
+            await crawler.startCrawling(startUrl);
+        }
+    } catch (error) {
+        process.stderr.write(`${t('cli.error', { message: error.message })}\n`);
+        return 2;
+    } finally {
+        if (crawler.renderer) await crawler.renderer.close();
+    }
+
+    const results = crawler.getResults();
+    const output = await FORMATTERS[format](results, { crawler, archive, columns: cliOptions.columns });
+
+    if (!writeOutput(output, cliOptions.output, crawler)) return 2;
+
+    if (previousResults) {
+        const diff = diffCrawlResults(previousResults, results);
+        if (!cliOptions.quiet) writeDiffSummary(diff);
+        if (profile && completed) await checkProfileAlerts(profile, diff, crawler);
+
+        if (cliOptions.diffOutput) {
+            const isCsv = path.extname(cliOptions.diffOutput).toLowerCase() === '.csv';
+            fs.writeFileSync(cliOptions.diffOutput, isCsv ? crawlDiffToCSV(diff) : JSON.stringify(diff, null, 2));
+            crawler.log('cli.diffSaved', 'success', { path: cliOptions.diffOutput });
+        }
+    }
+
+    if (cliOptions.resourcesOutput && results.resources) {
+        fs.writeFileSync(cliOptions.resourcesOutput, resourcesToCSV(results.resources));
+        crawler.log('cli.resourcesSaved', 'success', { path: cliOptions.resourcesOutput });
+    }
+
+    if (cliOptions.accessibilityOutput && results.accessibility) {
+        fs.writeFileSync(cliOptions.accessibilityOutput, accessibilityToCSV(results.accessibility));
+        crawler.log('cli.accessibilitySaved', 'success', { path: cliOptions.accessibilityOutput });
+    }
+
+    if (interrupted) return 130;
+    if (!completed) return 2;
+
+    // Результаты запоминаются только после полного обхода, иначе следующий запуск увидит ложные пропажи страниц
+    if (profile) {
+        fs.mkdirSync(stateDir, { recursive: true });
+        fs.writeFileSync(profileStatePath(stateDir, profile), resultsToJSON(results));
+        if (!previousResults) crawler.log('cli.firstProfileRun', 'info');
+    }
+
+    if (exceedsFailureThreshold(cliOptions.maxFailures, results)) {
+        process.stderr.write(`${t('cli.tooManyFailures', { count: results.failedUrls.length, threshold: cliOptions.maxFailures })}\n`);
+        return 1;
+    }
+
+    return 0;
+}
+
+main().then(code => {
+    process.exitCode = code;
+}).catch(error => {
+    process.stderr.write(`${t('cli.unexpectedError', { message: error.message })}\n`);
+    process.exitCode = 2;
+});
@@ -0,0 +1,100 @@
+// Сравнение двух обходов одного сайта: что появилось, пропало и изменилось с прошлого раза.
+// Прошлый обход - JSON-экспорт результатов или сохраненная сессия.
+
+// Поля содержимого и разделы результатов, из которых они берутся.
+// Поле сравнивается, только если раздел есть в обоих обходах (аудит мог быть выключен)
+const DIFF_CONTENT_FIELDS = [
+    { field: 'title', section: 'seo', getValue: page => page.title },
+    { field: 'metaDescription', section: 'seo', getValue: page => page.metaDescription },
+    { field: 'contentHash', section: 'duplicates', getValue: page => page.contentHash }
+];
+
+// Сессия содержит сырое состояние краулера: результаты из нее строит краулер с теми же плагинами.
+// createCrawler() возвращает новый краулер, в который сессия будет загружена
+function loadComparableResults(data, createCrawler) {
+    if (data && Array.isArray(data.pages) && Array.isArray(data.urls)) {
+        return data;
+    }
+    if (data && data.sessionId && Array.isArray(data.pageData)) {
+        const crawler = createCrawler();
+        crawler.restoreState(data);
+        return crawler.getResults();
+    }
+    const i18n = typeof module !== 'undefined' && module.exports ? require('./i18n.js') : { t };
+    throw new Error(i18n.t('diff.unknownFile'));
+}
+
+function diffCrawlResults(previous, current) {
+    const previousPages = new Map(previous.pages.map(page => [page.url, page]));
+    const currentPages = new Map(current.pages.map(page => [page.url, page]));
+
+    const newPages = current.pages
+        .filter(page => !previousPages.has(page.url))
+        .map(page => ({ url: page.url, status: page.status }));
+    const removedPages = previous.pages
+        .filter(page => !currentPages.has(page.url))
+        .map(page => ({ url: page.url, status: page.status }));
+
+    const statusChanges = [];
+    currentPages.forEach((page, url) => {
+        const before = previousPages.get(url);
+        if (before && before.status !== page.status) {
+            statusChanges.push({ url, before: before.status, after: page.status });
+        }
+    });
+
+    // В экспортах старых версий отчета о битых ссылках нет
+    const previousBrokenLinks = previous.brokenLinks || [];
+    const previousBroken = new Set(previousBrokenLinks.map(link => link.url));
+    const currentBroken = new Set(current.brokenLinks.map(link => link.url));
+    const newBrokenLinks = current.brokenLinks.filter(link => !previousBroken.has(link.url));
+    const fixedBrokenLinks = previousBrokenLinks
+        .filter(link => !currentBroken.has(link.url))
+        .map(link => ({ url: link.url, status: link.status }));
+
+    const comparedFields = DIFF_CONTENT_FIELDS
+        .filter(({ section }) => previous[section] && current[section])
+        .map(({ field }) => field);
+
+    const contentChanges = [];
+    DIFF_CONTENT_FIELDS
+        .filter(({ field }) => comparedFields.includes(field))
+        .forEach(({ field, section, getValue }) => {
+            const before = new Map(previous[section].pages.map(page => [page.url, page]));
+            current[section].pages.forEach(page => {
+                const previousPage = before.get(page.url);
+                if (!previousPage) return;
+
+                const beforeValue = getValue(previousPage) ?? null;
+                const afterValue = getValue(page) ?? null;
+                if (beforeValue !== afterValue) {
+                    contentChanges.push({ url: page.url, field, before: beforeValue, after: afterValue });
+                }
+            });
+        });
+    contentChanges.sort((a, b) => a.url.localeCompare(b.url));
+
+    return {
+        previousTotal: previous.pages.length,
+        currentTotal: current.pages.length,
+        comparedFields,
+        summary: {
+            newPages: newPages.length,
+            removedPages: removedPages.length,
+            statusChanges: statusChanges.length,
+            newBrokenLinks: newBrokenLinks.length,
+            fixedBrokenLinks: fixedBrokenLinks.length,
+            contentChanges: contentChanges.length
+        },
+        newPages,
+        removedPages,
+        statusChanges,
+        newBrokenLinks,
+        fixedBrokenLinks,
+        contentChanges
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { diffCrawlResults, loadComparableResults, DIFF_CONTENT_FIELDS };
+}
@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+// Локальный демон: запускает профили обхода по их расписанию (schedule в профиле, см. scheduler.js)
+//
+//   node daemon.js profiles/ --state-dir .crawler-state
+//   node daemon.js site-a.json site-b.json --list
+//
+// Каждый запуск - отдельный процесс node cli.js --profile <файл>: он сравнивает обход с прошлым
+// и отправляет оповещения. Профили перечитываются на каждой проверке, правки применяются без перезапуска.
+// Время прошлых запусков хранится в <state-dir>/daemon.json. Ctrl+C дожидается текущих обходов.
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { parseProfile, getNextRunTime, describeSchedule } = require('./scheduler.js');
+const { t, setLocale, getLocale, resolveCliLocale } = require('./i18n.js');
+
+// Расписание с точностью до минуты - проверяем дважды в минуту
+const TICK_INTERVAL = 30 * 1000;
+
+// description - ключ справки в i18n.js
+const OPTIONS = [
+    { flag: '--state-dir', key: 'stateDir', type: 'string', description: 'help.daemon.stateDir' },
+    { flag: '--list', key: 'list', type: 'bool', description: 'help.daemon.list' },
+    { flag: '--verbose', key: 'verbose', type: 'bool', description: 'help.daemon.verbose' },
+    { flag: '--lang', key: 'lang', type: 'string', description: 'help.daemon.lang' },
+    { flag: '--help', alias: '-h', key: 'help', type: 'bool', description: 'help.daemon.help' }
+];
+
+function writeLog(message) {
+    process.stderr.write(`[${new Date().toLocaleString()}] ${message}\n`);
+}
+
+function printHelp() {
+    const lines = OPTIONS.map(option => {
+        const names = option.alias ? `${option.alias}, ${option.flag}` : option.flag;
+        const value = option.type === 'string' ? ' <value>' : '';
+        return `  ${(names + value).padEnd(30)} ${t(option.description)}`;
+    });
+    process.stdout.write(`${t('help.daemon.usage')}\n\n${lines.join('\n')}\n`);
+}
+
+function parseArgs(argv) {
+    const options = {};
+    const paths = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const option = OPTIONS.find(candidate => candidate.flag === argv[i] || candidate.alias === argv[i]);
+        if (!option) {
+            if (argv[i].startsWith('-')) {
+                throw new Error(t('cli.unknownFlag', { flag: argv[i] }));
+            }
+            paths.push(argv[i]);
+        } else if (option.type === 'bool') {
+            options[option.key] = true;
+        } else {
+            if (argv[i + 1] === undefined) {
+                throw new Error(t('cli.flagNeedsValue', { flag: argv[i] }));
+            }
+            options[option.key] = argv[++i];
+        }
+    }
+
+    return { options, paths };
+}
+
+// Папка - все *.json в ней; ошибки в одном профиле не останавливают остальные.
+// Профиль или папку могут удалить, пока демон работает: это тоже ошибка одного пути, а не всего демона
+function loadProfiles(paths, reportError) {
+    const files = paths.flatMap(item => {
+        try {
+            return fs.statSync(item).isDirectory()
+                ? fs.readdirSync(item).filter(name => name.endsWith('.json')).sort().map(name => path.join(item, name))
+                : [item];
+        } catch (error) {
+            reportError(item, error.message);
+            return [];
+        }
+    });
+
+    const profiles = [];
+    files.forEach(file => {
+        try {
+            const profile = parseProfile(JSON.parse(fs.readFileSync(file, 'utf8')), path.basename(file, '.json'));
+            if (profiles.some(other => other.name === profile.name)) {
+                throw new Error(t('daemon.duplicateName', { name: profile.name }));
+            }
+            profiles.push({ ...profile, file });
+        } catch (error) {
+            reportError(file, error.message);
+        }
+    });
+    return profiles;
+}
+
+class CrawlDaemon {
+    constructor(paths, options) {
+        this.paths = paths;
+        this.stateDir = options.stateDir || '.crawler-state';
+        this.verbose = Boolean(options.verbose);
+        this.statePath = path.join(this.stateDir, 'daemon.json');
+        this.state = this.loadState();
+        this.running = new Map();
+        this.reportedErrors = new Map();
+        this.startedAt = Date.now();
+        this.timer = null;
+        this.stopping = false;
+    }
+
+    loadState() {
+        try {
+            return JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveState() {
+        fs.mkdirSync(this.stateDir, { recursive: true });
+        const temporary = `${this.statePath}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify(this.state, null, 2));
+        fs.renameSync(temporary, this.statePath);
+    }
+
+    // Одна и та же ошибка в профиле пишется в журнал один раз, а не на каждой проверке
+    reportProfileError(file, message) {
+        if (this.reportedErrors.get(file) === message) return;
+        this.reportedErrors.set(file, message);
+        writeLog(t('daemon.profileError', { file, message }));
+    }
+
+    loadProfiles() {
+        return loadProfiles(this.paths, (file, message) => this.reportProfileError(file, message));
+    }
+
+    // По cron считаем от прошлого запуска или от старта демона; по интервалу первый запуск - сразу
+    getNextRun(profile, now = Date.now()) {
+        const lastRun = (this.state[profile.name] || {}).lastRun || null;
+        const base = lastRun || (profile.schedule && profile.schedule.cron ? this.startedAt : null);
+        return getNextRunTime(profile.schedule, base, now);
+    }
+
+    list() {
+        const profiles = this.loadProfiles();
+        if (profiles.length === 0) {
+            process.stdout.write(`${t('daemon.noProfiles')}\n`);
+            return;
+        }
+
+        profiles.forEach(profile => {
+            const state = this.state[profile.name] || {};
+            const next = this.getNextRun(profile);
+            process.stdout.write([
+                profile.name,
+                describeSchedule(profile.schedule),
+                `next=${next ? new Date(next).toISOString() : '-'}`,
+                `last=${state.lastRun ? new Date(state.lastRun).toISOString() : '-'}`,
+                `exit=${state.lastExitCode ?? '-'}`,
+                profile.startUrl
+            ].join('\t') + '\n');
+        });
+    }
+
+    start() {
+        const profiles = this.loadProfiles();
+        writeLog(t('daemon.started', { count: profiles.length, stateDir: this.stateDir }));
+        profiles.forEach(profile => {
+            const next = this.getNextRun(profile);
+            writeLog(t('daemon.profileSchedule', {
+                name: profile.name,
+                schedule: describeSchedule(profile.schedule),
+                next: next ? new Date(next).toLocaleString() : t('daemon.notScheduled')
+            }));
+        });
+
+        this.tick();
+        this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+    }
+
+    tick() {
+        if (this.stopping) return;
+
+        const now = Date.now();
+        this.loadProfiles().forEach(profile => {
+            if (this.running.has(profile.name)) return;
+            const next = this.getNextRun(profile, now);
+            if (next !== null && next <= now) {
+                this.runProfile(profile);
+            }
+        });
+    }
+
+    runProfile(profile) {
+        const startedAt = Date.now();
+        const args = [path.join(__dirname, 'cli.js'), '--profile', profile.file, '--state-dir', this.stateDir];
+        if (!this.verbose) args.push('--quiet');
+        args.push('--lang', getLocale());
+
+        writeLog(t('daemon.run', { name: profile.name, url: profile.startUrl }));
+        // Результаты нужны только в файле profile.output, stdout не читаем.
+        // Своя группа процессов: Ctrl+C в терминале получает только демон и сам передает его обходам
+        const child = spawn(process.execPath, args, { stdio: ['ignore', 'ignore', 'pipe'], detached: true });
+        this.running.set(profile.name, child);
+
+        let buffer = '';
+        child.stderr.setEncoding('utf8');
+        child.stderr.on('data', chunk => {
+            buffer += chunk;
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.filter(Boolean).forEach(line => process.stderr.write(`   [${profile.name}] ${line}\n`));
+        });
+
+        // Запуск засчитывается сразу: упавший обход не перезапускается на каждой проверке
+        this.state[profile.name] = { ...this.state[profile.name], lastRun: startedAt };
+        this.saveState();
+
+        child.on('close', code => {
+            this.running.delete(profile.name);
+            if (buffer) process.stderr.write(`   [${profile.name}] ${buffer}\n`);
+
+            const duration = Math.round((Date.now() - startedAt) / 1000);
+            this.state[profile.name] = { lastRun: startedAt, lastExitCode: code, lastDuration: duration };
+            this.saveState();
+            writeLog(t('daemon.finished', { icon: code === 0 ? '✅' : '❌', name: profile.name, code, duration }));
+        });
+    }
+
+    // Текущие обходы получают SIGINT и завершаются штатно, как по Ctrl+C в cli.js
+    stop() {
+        this.stopping = true;
+        clearInterval(this.timer);
+        if (this.running.size === 0) return Promise.resolve();
+
+        writeLog(t('daemon.stopping', { count: this.running.size }));
+        return Promise.all(Array.from(this.running.values()).map(child => new Promise(resolve => {
+            child.once('close', resolve);
+            child.kill('SIGINT');
+        })));
+    }
+}
+
+function main() {
+    const argv = process.argv.slice(2);
+    try {
+        // Этот же язык передается запускаемым обходам
+        setLocale(resolveCliLocale(argv, process.env.CRAWLER_LANG));
+    } catch (error) {
+        process.stderr.write(`${error.message}\n`);
+        return 2;
+    }
+
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+    } catch (error) {
+        process.stderr.write(`${t('cli.error', { message: error.message })}\n`);
+        return 2;
+    }
+
+    const { options, paths } = parsed;
+    if (options.help || paths.length === 0) {
+        printHelp();
+        return options.help ? 0 : 2;
+    }
+
+    const missing = paths.find(item => !fs.existsSync(item));
+    if (missing) {
+        process.stderr.write(`${t('daemon.pathNotFound', { path: missing })}\n`);
+        return 2;
+    }
+
+    const daemon = new CrawlDaemon(paths, options);
+    if (options.list) {
+        daemon.list();
+        return 0;
+    }
+
+    daemon.start();
+    ['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, () => {
+        daemon.stop().then(() => process.exit(0));
+    }));
+    return null;
+}
+
+const code = main();
+if (code !== null) {
+    process.exitCode = code;
+}
@@ -0,0 +1,196 @@
+// Извлечение данных со страниц по правилам пользователя (цены, артикулы и т.п.):
+// подключается через crawler.use(new DataExtractor()), правила берутся из config.extractionRules.
+//
+// Правило: { name, type: 'css' | 'xpath' | 'regex', expression, attribute, multiple, urlPattern }
+//   attribute  - для css и xpath: '' - текст, 'html' - HTML элемента, иначе имя атрибута
+//   multiple   - все совпадения (массив) или только первое
+//   urlPattern - правило применяется только к подходящим URL (синтаксис как в includePatterns)
+// regex ищется в исходном HTML; значение - первая группа или все совпадение.
+
+const EXTRACTION_RULE_TYPES = ['css', 'xpath', 'regex'];
+
+// Набор правил из файла: { version, rules } или просто массив правил
+function parseRuleSet(data) {
+    const rules = Array.isArray(data) ? data : data && data.rules;
+    if (!Array.isArray(rules)) {
+        const i18n = typeof module !== 'undefined' && module.exports ? require('./i18n.js') : { t };
+        throw new Error(i18n.t('extraction.noRules'));
+    }
+
+    return rules.map(rule => ({
+        name: String(rule.name || '').trim(),
+        type: rule.type || 'css',
+        expression: String(rule.expression || ''),
+        attribute: String(rule.attribute || ''),
+        multiple: Boolean(rule.multiple),
+        urlPattern: String(rule.urlPattern || '')
+    }));
+}
+
+function serializeRuleSet(rules) {
+    return JSON.stringify({ version: 1, rules }, null, 2);
+}
+
+class DataExtractor {
+    constructor() {
+        this.name = 'extraction';
+        this.crawler = null;
+        this.pages = new Map();
+        this.regexCache = new Map();
+    }
+
+    attach(crawler) {
+        this.crawler = crawler;
+        crawler.on('page', page => {
+            if (!this.isEnabled()) return;
+
+            const pageUrl = page.finalUrl || page.url;
+            const rules = this.getRules().filter(rule => !rule.urlPattern || crawler.matchesUrlPattern(pageUrl, rule.urlPattern));
+            if (rules.length === 0) return;
+
+            const document = page.getDocument();
+            const fields = {};
+            rules.forEach(rule => {
+                try {
+                    const values = this.extractValues(rule, document, page.content || '');
+                    fields[rule.name] = rule.multiple ? values : (values[0] ?? null);
+                } catch (error) {
+                    fields[rule.name] = null;
+                    crawler.log('plugin.extractionFailed', 'warning', { rule: rule.name, url: page.url, message: error.message });
+                }
+            });
+
+            this.pages.set(page.url, { url: page.url, fields });
+        });
+    }
+
+    getRules() {
+        return this.crawler.config.extractionRules || [];
+    }
+
+    isEnabled() {
+        return Boolean(this.crawler && this.getRules().length > 0);
+    }
+
+    reset() {
+        this.pages.clear();
+        this.regexCache.clear();
+    }
+
+    exportState() {
+        return Array.from(this.pages.values());
+    }
+
+    restoreState(pages) {
+        this.pages = new Map(pages.map(page => [page.url, page]));
+    }
+
+    // Ошибки в правилах видны до начала обхода, а не на каждой странице
+    validate() {
+        const names = new Set();
+        const probe = this.crawler.parseHtmlDocument('<html><body></body></html>');
+        const { t } = this.crawler.getI18nModule();
+
+        this.getRules().forEach((rule, index) => {
+            const label = rule.name || `#${index + 1}`;
+            if (!rule.name) throw new Error(t('extraction.ruleNoName', { label }));
+            if (names.has(rule.name)) throw new Error(t('extraction.ruleDuplicate', { name: rule.name }));
+            names.add(rule.name);
+
+            if (!EXTRACTION_RULE_TYPES.includes(rule.type)) {
+                throw new Error(t('extraction.ruleUnknownType', { label, type: rule.type, allowed: EXTRACTION_RULE_TYPES.join(', ') }));
+            }
+            if (!rule.expression) throw new Error(t('extraction.ruleEmpty', { label }));
+
+            try {
+                this.extractValues(rule, probe, '');
+                if (rule.urlPattern) this.crawler.compileUrlPattern(rule.urlPattern);
+            } catch (error) {
+                throw new Error(t('extraction.ruleInvalid', { label, message: error.message }));
+            }
+        });
+    }
+
+    extractValues(rule, document, html) {
+        if (rule.type === 'regex') {
+            return this.matchRegex(rule, html);
+        }
+        if (!document) return [];
+
+        const nodes = rule.type === 'css'
+            ? Array.from(rule.multiple ? document.querySelectorAll(rule.expression) : [document.querySelector(rule.expression)])
+            : this.evaluateXPath(document, rule.expression);
+
+        return nodes
+            .filter(Boolean)
+            .slice(0, rule.multiple ? undefined : 1)
+            .map(node => this.getNodeValue(node, rule.attribute))
+            .filter(value => value !== null);
+    }
+
+    getNodeValue(node, attribute) {
+        // XPath может вернуть сразу строку (string(...), count(...)), атрибут или текстовый узел
+        if (typeof node !== 'object') return String(node);
+        if (node.nodeType !== 1) return (node.nodeValue ?? node.textContent ?? '').trim();
+
+        if (!attribute) return node.textContent.replace(/\s+/g, ' ').trim();
+        if (attribute === 'html') return node.innerHTML;
+        return node.getAttribute(attribute);
+    }
+
+    // DOM браузера умеет XPath сам, в Node.js нужен пакет xpath
+    evaluateXPath(document, expression) {
+        if (typeof document.evaluate === 'function') {
+            const result = document.evaluate(expression, document, null, XPathResult.ANY_TYPE, null);
+            switch (result.resultType) {
+                case XPathResult.NUMBER_TYPE: return [result.numberValue];
+                case XPathResult.STRING_TYPE: return [result.stringValue];
+                case XPathResult.BOOLEAN_TYPE: return [result.booleanValue];
+                default: {
+                    const nodes = [];
+                    for (let node = result.iterateNext(); node; node = result.iterateNext()) {
+                        nodes.push(node);
+                    }
+                    return nodes;
+                }
+            }
+        }
+
+        let xpath;
+        try {
+            xpath = require('xpath');
+        } catch (error) {
+            throw new Error(this.crawler.getI18nModule().t('extraction.xpathMissing'));
+        }
+        const result = xpath.parse(expression).evaluate({ node: document, isHtml: true });
+        return typeof result.toArray === 'function' ? result.toArray() : [result.stringValue()];
+    }
+
+    matchRegex(rule, html) {
+        if (!this.regexCache.has(rule.expression)) {
+            // Выражение в виде /.../flags или просто текст регулярного выражения
+            const literal = rule.expression.match(/^\/(.+)\/([a-z]*)$/s);
+            const source = literal ? literal[1] : rule.expression;
+            const flags = literal ? literal[2].replace('g', '') : '';
+            this.regexCache.set(rule.expression, new RegExp(source, `${flags}g`));
+        }
+
+        const values = [];
+        for (const match of html.matchAll(this.regexCache.get(rule.expression))) {
+            values.push((match[1] ?? match[0]).trim());
+            if (!rule.multiple) break;
+        }
+        return values;
+    }
+
+    getResults() {
+        return {
+            fields: this.getRules().map(rule => rule.name),
+            pages: Array.from(this.pages.values())
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DataExtractor, parseRuleSet, serializeRuleSet, EXTRACTION_RULE_TYPES };
+}
@@ -0,0 +1,220 @@
+// Поиск дубликатов по содержимому: подключается через crawler.use(new DuplicateDetector()).
+// Одинаковое тело ответа - точный дубликат, близкий видимый текст (simhash) - почти дубликат,
+// несколько страниц с одним rel=canonical - варианты одной страницы.
+
+// 64-битный хеш строки в виде двух 32-битных половин (cyrb53)
+function hashString(text, seed = 0) {
+    let h1 = 0xdeadbeef ^ seed;
+    let h2 = 0x41c6ce57 ^ seed;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return [h1 >>> 0, h2 >>> 0];
+}
+
+function toHex(halves) {
+    return halves.map(half => half.toString(16).padStart(8, '0')).join('');
+}
+
+class DuplicateDetector {
+    constructor(options = {}) {
+        this.name = 'duplicates';
+        this.options = {
+            // Расстояние Хэмминга между simhash; до 3 бит пары находятся по совпадению одной 16-битной части
+            maxDistance: 3,
+            // На коротком тексте simhash ненадежен: почти пустые страницы оказались бы "похожими"
+            minWords: 50,
+            ...options
+        };
+        this.crawler = null;
+        this.pages = new Map();
+    }
+
+    attach(crawler) {
+        this.crawler = crawler;
+        crawler.on('page', page => {
+            if (!crawler.config.detectDuplicates) return;
+
+            // Редирект и его цель отдают одно и то же содержимое - учитываем страницу один раз
+            const url = crawler.normalizeUrl(page.finalUrl || page.url);
+            this.pages.set(url, this.fingerprintPage(url, page));
+        });
+    }
+
+    isEnabled() {
+        return Boolean(this.crawler && this.crawler.config.detectDuplicates);
+    }
+
+    reset() {
+        this.pages.clear();
+    }
+
+    exportState() {
+        return Array.from(this.pages.values());
+    }
+
+    restoreState(pages) {
+        this.pages = new Map(pages.map(page => [page.url, page]));
+    }
+
+    fingerprintPage(url, page) {
+        const document = page.getDocument();
+        const fingerprint = {
+            url,
+            contentHash: toHex(hashString(page.content || '')),
+            simhash: null,
+            canonical: null
+        };
+        if (!document) return fingerprint;
+
+        const canonicalElement = document.querySelector('link[rel~="canonical"][href]');
+        if (canonicalElement) {
+            try {
+                fingerprint.canonical = this.crawler.normalizeUrl(
+                    new URL(canonicalElement.getAttribute('href'), page.finalUrl || page.url).href);
+            } catch {
+                // Некорректный canonical разбирает SEO-аудит
+            }
+        }
+
+        const words = this.crawler.getVisibleText(document.body).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+        if (words.length >= this.options.minWords) {
+            fingerprint.simhash = this.simhash(words);
+        }
+
+        return fingerprint;
+    }
+
+    // Simhash по шинглам из трех слов: у похожих текстов отличается лишь несколько бит
+    simhash(words) {
+        const weights = new Array(64).fill(0);
+
+        for (let i = 0; i + 3 <= words.length; i++) {
+            const [high, low] = hashString(words.slice(i, i + 3).join(' '));
+            for (let bit = 0; bit < 32; bit++) {
+                weights[bit] += (high >>> bit) & 1 ? 1 : -1;
+                weights[bit + 32] += (low >>> bit) & 1 ? 1 : -1;
+            }
+        }
+
+        const halves = [0, 0];
+        weights.forEach((weight, bit) => {
+            if (weight > 0) halves[bit < 32 ? 0 : 1] |= 1 << (bit % 32);
+        });
+        return toHex(halves.map(half => half >>> 0));
+    }
+
+    hammingDistance(a, b) {
+        let distance = 0;
+        for (let i = 0; i < a.length; i += 8) {
+            let xor = (parseInt(a.slice(i, i + 8), 16) ^ parseInt(b.slice(i, i + 8), 16)) >>> 0;
+            while (xor) {
+                xor &= xor - 1;
+                distance++;
+            }
+        }
+        return distance;
+    }
+
+    // Страницы с одинаковым телом ответа: [{ contentHash, urls }]
+    findExactDuplicates() {
+        const groups = new Map();
+
+        this.pages.forEach(page => {
+            if (!groups.has(page.contentHash)) groups.set(page.contentHash, []);
+            groups.get(page.contentHash).push(page.url);
+        });
+
+        return Array.from(groups, ([contentHash, urls]) => ({ contentHash, urls }))
+            .filter(group => group.urls.length > 1)
+            .sort((a, b) => b.urls.length - a.urls.length);
+    }
+
+    // Кандидаты ищутся по совпадающим 16-битным частям simhash, а не перебором всех пар
+    findNearDuplicates(exactGroupOf) {
+        const pages = Array.from(this.pages.values()).filter(page => page.simhash);
+        const parent = new Map(pages.map(page => [page.url, page.url]));
+        const find = url => {
+            while (parent.get(url) !== url) {
+                parent.set(url, parent.get(parent.get(url)));
+                url = parent.get(url);
+            }
+            return url;
+        };
+
+        const bands = new Map();
+        pages.forEach(page => {
+            for (let band = 0; band < 4; band++) {
+                const key = `${band}:${page.simhash.slice(band * 4, band * 4 + 4)}`;
+                if (!bands.has(key)) bands.set(key, []);
+                bands.get(key).push(page);
+            }
+        });
+
+        const distances = new Map();
+        bands.forEach(candidates => {
+            for (let i = 0; i < candidates.length; i++) {
+                for (let j = i + 1; j < candidates.length; j++) {
+                    const a = candidates[i];
+                    const b = candidates[j];
+                    const distance = this.hammingDistance(a.simhash, b.simhash);
+                    if (distance > this.options.maxDistance) continue;
+
+                    parent.set(find(a.url), find(b.url));
+                    distances.set(a.url, Math.max(distances.get(a.url) || 0, distance));
+                    distances.set(b.url, Math.max(distances.get(b.url) || 0, distance));
+                }
+            }
+        });
+
+        const clusters = new Map();
+        pages.forEach(page => {
+            const root = find(page.url);
+            if (!clusters.has(root)) clusters.set(root, []);
+            clusters.get(root).push(page.url);
+        });
+
+        // Группа, целиком состоящая из точных копий, уже есть в exactClusters
+        return Array.from(clusters.values())
+            .filter(urls => urls.length > 1)
+            .filter(urls => new Set(urls.map(url => exactGroupOf.get(url) || url)).size > 1)
+            .map(urls => ({
+                urls,
+                similarity: 1 - Math.max(...urls.map(url => distances.get(url) || 0)) / 64
+            }))
+            .sort((a, b) => b.urls.length - a.urls.length);
+    }
+
+    getResults() {
+        const exactClusters = this.findExactDuplicates();
+        const exactGroupOf = new Map();
+        exactClusters.forEach(cluster => {
+            cluster.urls.forEach(url => exactGroupOf.set(url, cluster.contentHash));
+        });
+
+        // Страницы, чей canonical указывает на другой URL, вместе с этим URL
+        const variants = new Map();
+        this.pages.forEach(page => {
+            if (!page.canonical || page.canonical === page.url) return;
+            if (!variants.has(page.canonical)) variants.set(page.canonical, []);
+            variants.get(page.canonical).push(page.url);
+        });
+        const canonicalClusters = Array.from(variants, ([canonical, urls]) => ({ canonical, urls: [canonical, ...urls] }))
+            .sort((a, b) => b.urls.length - a.urls.length);
+
+        return {
+            pages: Array.from(this.pages.values()),
+            exactClusters,
+            nearClusters: this.findNearDuplicates(exactGroupOf),
+            canonicalClusters
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DuplicateDetector };
+}
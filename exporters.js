@@ -0,0 +1,553 @@
+// Форматы экспорта результатов: общие для браузера и CLI
+
+// Текст, который табличный редактор принял бы за формулу (=, +, -, @, табуляция или CR в начале), начинается
+// с апострофа: заголовки и извлеченные поля приходят с чужих страниц. Числа остаются числами.
+// В XLSX такой защиты не нужно - ячейки там строковые (inlineStr) и формулами не считаются
+function csvEscape(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180: строки разделяются CRLF
+function toCSV(rows) {
+    return rows
+        .map(row => row.map(csvEscape).join(','))
+        .join('\r\n');
+}
+
+function formatRedirectChain(redirectChain) {
+    return redirectChain.map(hop => `${hop.status || '3xx'} ${hop.url}`).join(' > ');
+}
+
+// Колонки постраничного экспорта (CSV, XLSX). get(row), где row = { page, audit, resources, accessibility, extracted, inlinks }.
+// Колонки с section берутся из результатов плагина и доступны, если он был включен
+const PAGE_COLUMNS = [
+    { id: 'url', title: 'URL', get: ({ page }) => page.url },
+    { id: 'status', title: 'Status', get: ({ page }) => page.status },
+    { id: 'finalUrl', title: 'Final URL', get: ({ page }) => page.finalUrl },
+    { id: 'redirectChain', title: 'Redirect chain', get: ({ page }) => formatRedirectChain(page.redirectChain) },
+    { id: 'depth', title: 'Depth', get: ({ page }) => page.depth },
+    { id: 'inlinks', title: 'Inlinks', get: ({ inlinks }) => inlinks },
+    { id: 'title', title: 'Title', get: ({ page }) => page.title },
+    { id: 'contentType', title: 'Content-Type', get: ({ page }) => page.contentType },
+    { id: 'contentLength', title: 'Content-Length', get: ({ page }) => page.contentLength },
+    { id: 'responseTime', title: 'Response time (ms)', get: ({ page }) => page.responseTime },
+    { id: 'ttfb', title: 'TTFB (ms)', get: ({ page }) => page.ttfb },
+    { id: 'downloadTime', title: 'Download time (ms)', get: ({ page }) => page.downloadTime },
+    { id: 'lastModified', title: 'Last-Modified', get: ({ page }) => page.lastModified },
+    { id: 'error', title: 'Error', get: ({ page }) => page.error },
+    { id: 'titleLength', title: 'Title length', section: 'seo', get: ({ audit }) => audit.titleLength },
+    { id: 'metaDescription', title: 'Meta description', section: 'seo', get: ({ audit }) => audit.metaDescription },
+    { id: 'descriptionLength', title: 'Description length', section: 'seo', get: ({ audit }) => audit.descriptionLength },
+    { id: 'canonical', title: 'Canonical', section: 'seo', get: ({ audit }) => audit.canonical },
+    { id: 'h1Count', title: 'H1 count', section: 'seo', get: ({ audit }) => audit.h1Count },
+    { id: 'metaRobots', title: 'Meta robots', section: 'seo', get: ({ audit }) => audit.metaRobots },
+    { id: 'hreflang', title: 'Hreflang', section: 'seo', get: ({ audit }) => audit.hreflang.map(link => `${link.lang}=${link.href}`).join(' ') },
+    { id: 'ogTitle', title: 'OG title', section: 'seo', get: ({ audit }) => audit.openGraph['og:title'] },
+    { id: 'wordCount', title: 'Word count', section: 'seo', get: ({ audit }) => audit.wordCount },
+    { id: 'imagesWithoutAlt', title: 'Images without alt', section: 'seo', get: ({ audit }) => audit.imagesWithoutAlt.length },
+    { id: 'seoIssues', title: 'SEO issues', section: 'seo', get: ({ audit }) => audit.issues.join(' ') },
+    { id: 'assetCount', title: 'Assets', section: 'resources', get: ({ resources }) => resources.assetCount },
+    { id: 'assetSize', title: 'Asset weight (bytes)', section: 'resources', get: ({ resources }) => resources.assetSize },
+    { id: 'pageWeight', title: 'Page weight (bytes)', section: 'resources', get: ({ resources }) => resources.totalSize },
+    { id: 'mixedContent', title: 'Mixed content', section: 'resources', get: ({ resources }) => resources.mixedContent.join(' ') },
+    { id: 'a11yIssueCount', title: 'Accessibility issues', section: 'accessibility', get: ({ accessibility }) => accessibility.issueCount },
+    { id: 'a11yIssues', title: 'Accessibility issue codes', section: 'accessibility', get: ({ accessibility }) => Object.keys(accessibility.counts).join(' ') }
+];
+
+// Несколько совпадений правила извлечения пишутся в одну ячейку
+function formatExtractedValue(value) {
+    if (value === null || value === undefined) return '';
+    return Array.isArray(value) ? value.join(' | ') : value;
+}
+
+// Поля правил извлечения данных - колонки extract:<имя правила>
+function getExtractionColumns(results) {
+    return (results.extraction ? results.extraction.fields : []).map(field => ({
+        id: `extract:${field}`,
+        title: field,
+        section: 'extraction',
+        get: ({ extracted }) => formatExtractedValue(extracted.fields[field])
+    }));
+}
+
+// Колонки, для которых в результатах есть данные
+function getAvailablePageColumns(results) {
+    return [
+        ...PAGE_COLUMNS.filter(column => !column.section || results[column.section]),
+        ...getExtractionColumns(results)
+    ];
+}
+
+function resolvePageColumns(results, columnIds) {
+    if (!columnIds) return getAvailablePageColumns(results);
+
+    const known = [...PAGE_COLUMNS, ...getExtractionColumns(results)];
+    return columnIds.map(id => {
+        const column = known.find(candidate => candidate.id === id);
+        if (!column) {
+            const i18n = typeof module !== 'undefined' && module.exports ? require('./i18n.js') : { t };
+            throw new Error(i18n.t('export.unknownColumn', { id, allowed: known.map(candidate => candidate.id).join(', ') }));
+        }
+        return column;
+    });
+}
+
+function getPageRows(results, columns) {
+    const audits = results.seo ? new Map(results.seo.pages.map(audit => [audit.url, audit])) : new Map();
+    const resources = results.resources ? new Map(results.resources.pages.map(page => [page.url, page])) : new Map();
+    const accessibility = results.accessibility ? new Map(results.accessibility.pages.map(page => [page.url, page])) : new Map();
+    const extracted = results.extraction ? new Map(results.extraction.pages.map(page => [page.url, page])) : new Map();
+    const inlinks = new Map((results.linkGraph ? results.linkGraph.nodes : []).map(node => [node.id, node.inbound]));
+
+    return results.pages.map(page => {
+        const row = {
+            page,
+            audit: audits.get(page.url),
+            resources: resources.get(page.url),
+            accessibility: accessibility.get(page.url),
+            extracted: extracted.get(page.url),
+            inlinks: inlinks.get(page.url) ?? 0
+        };
+        // Для страницы без данных плагина (например, не HTML) ячейка остается пустой
+        const sectionRows = { seo: row.audit, resources: row.resources, accessibility: row.accessibility, extraction: row.extracted };
+        return columns.map(column => (column.section && !sectionRows[column.section] ? '' : column.get(row)));
+    });
+}
+
+// columnIds - выбранные колонки по порядку; по умолчанию все доступные
+function resultsToCSV(results, columnIds = null) {
+    const columns = resolvePageColumns(results, columnIds);
+    return toCSV([columns.map(column => column.title), ...getPageRows(results, columns)]);
+}
+
+function resultsToJSON(results) {
+    return JSON.stringify(results, null, 2);
+}
+
+function resultsToTXT(results) {
+    return results.pages
+        .map(page => {
+            const status = page.status || 'ERR';
+            return page.finalUrl !== page.url
+                ? `${status}\t${page.url} -> ${page.finalUrl}`
+                : `${status}\t${page.url}`;
+        })
+        .join('\n');
+}
+
+// Одна строка на каждую пару "битая ссылка - страница-источник"
+function getBrokenLinkRows(brokenLinks) {
+    const rows = [['Broken URL', 'Status', 'Error', 'External', 'Source page', 'Tag', 'Anchor text']];
+    
+    brokenLinks.forEach(link => {
+        const sources = link.sources.length > 0 ? link.sources : [{ source: '', tag: '', anchorText: '' }];
+        sources.forEach(source => {
+            rows.push([link.url, link.status, link.error, link.external ? 'yes' : 'no', source.source, source.tag, source.anchorText]);
+        });
+    });
+    
+    return rows;
+}
+
+function brokenLinksToCSV(brokenLinks) {
+    return toCSV(getBrokenLinkRows(brokenLinks));
+}
+
+// Все проверенные ресурсы: одна строка на ресурс, проблемы - в колонке Issues
+function resourcesToCSV(resources) {
+    const oversized = new Set(resources.oversizedImages.map(asset => asset.url));
+    const uncompressed = new Set(resources.uncompressedAssets.map(asset => asset.url));
+    const mixed = new Set(resources.mixedContent.map(item => item.asset));
+
+    const rows = resources.assets.map(asset => {
+        const issues = [
+            asset.checked && !asset.ok ? 'failed' : '',
+            oversized.has(asset.url) ? 'oversized_image' : '',
+            uncompressed.has(asset.url) ? 'uncompressed' : '',
+            asset.ok && !asset.cacheable ? 'not_cached' : '',
+            mixed.has(asset.url) ? 'mixed_content' : ''
+        ].filter(Boolean);
+        return [asset.url, asset.category, asset.status, asset.contentType, asset.size, asset.encoding,
+            asset.cacheControl, asset.pages, issues.join(' '), asset.error];
+    });
+
+    return toCSV([['URL', 'Category', 'Status', 'Content-Type', 'Size (bytes)', 'Content-Encoding',
+        'Cache-Control', 'Pages', 'Issues', 'Error'], ...rows]);
+}
+
+// Одна строка на найденную проблему доступности; сверх лимита на страницу проблемы только посчитаны
+function accessibilityToCSV(accessibility) {
+    const rows = accessibility.pages.flatMap(page => page.issues.map(issue =>
+        [page.url, issue.severity, issue.code, issue.wcag, issue.detail, issue.snippet]));
+    return toCSV([['URL', 'Severity', 'Issue', 'WCAG', 'Details', 'Snippet'], ...rows]);
+}
+
+// Одна строка на изменение: тип, URL, было, стало
+function crawlDiffToCSV(diff) {
+    const header = ['Change', 'URL', 'Before', 'After'];
+    const rows = [
+        ...diff.newPages.map(page => ['new_page', page.url, '', page.status]),
+        ...diff.removedPages.map(page => ['removed_page', page.url, page.status, '']),
+        ...diff.statusChanges.map(change => ['status_changed', change.url, change.before, change.after]),
+        ...diff.newBrokenLinks.map(link => ['new_broken_link', link.url, '', link.status || link.error]),
+        ...diff.fixedBrokenLinks.map(link => ['fixed_broken_link', link.url, link.status, '']),
+        ...diff.contentChanges.map(change => [`${change.field}_changed`, change.url, change.before, change.after])
+    ];
+    return toCSV([header, ...rows]);
+}
+
+function xmlEscape(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Граф ссылок для Gephi, yEd и Cytoscape
+function linkGraphToGraphML(graph) {
+    const nodes = graph.nodes.map(node =>
+        `    <node id="${xmlEscape(node.id)}">` +
+        `<data key="status">${xmlEscape(node.status)}</data>` +
+        `<data key="depth">${xmlEscape(node.depth)}</data>` +
+        `<data key="inbound">${node.inbound}</data></node>`);
+    const edges = graph.edges.map((edge, index) =>
+        `    <edge id="e${index}" source="${xmlEscape(edge.source)}" target="${xmlEscape(edge.target)}"/>`);
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+        '  <key id="status" for="node" attr.name="status" attr.type="string"/>',
+        '  <key id="depth" for="node" attr.name="depth" attr.type="string"/>',
+        '  <key id="inbound" for="node" attr.name="inbound" attr.type="int"/>',
+        '  <graph id="links" edgedefault="directed">',
+        ...nodes,
+        ...edges,
+        '  </graph>',
+        '</graphml>'
+    ].join('\n');
+}
+
+function linkGraphToGEXF(graph) {
+    const nodes = graph.nodes.map(node =>
+        `      <node id="${xmlEscape(node.id)}" label="${xmlEscape(node.id)}"><attvalues>` +
+        `<attvalue for="status" value="${xmlEscape(node.status)}"/>` +
+        `<attvalue for="depth" value="${xmlEscape(node.depth)}"/>` +
+        `<attvalue for="inbound" value="${node.inbound}"/></attvalues></node>`);
+    const edges = graph.edges.map((edge, index) =>
+        `      <edge id="${index}" source="${xmlEscape(edge.source)}" target="${xmlEscape(edge.target)}"/>`);
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+        '  <graph defaultedgetype="directed">',
+        '    <attributes class="node">',
+        '      <attribute id="status" title="status" type="string"/>',
+        '      <attribute id="depth" title="depth" type="string"/>',
+        '      <attribute id="inbound" title="inbound" type="integer"/>',
+        '    </attributes>',
+        '    <nodes>',
+        ...nodes,
+        '    </nodes>',
+        '    <edges>',
+        ...edges,
+        '    </edges>',
+        '  </graph>',
+        '</gexf>'
+    ].join('\n');
+}
+
+// В sitemap попадают только страницы, которые стоит индексировать:
+// 2xx без редиректа, HTML, без noindex и без canonical на другой URL
+function getSitemapPages(results) {
+    const audits = results.seo ? new Map(results.seo.pages.map(audit => [audit.url, audit])) : new Map();
+    const fingerprints = results.duplicates ? new Map(results.duplicates.pages.map(page => [page.url, page])) : new Map();
+
+    return results.pages.filter(page => {
+        if (!page.status || page.status < 200 || page.status >= 300) return false;
+        if (page.finalUrl !== page.url) return false;
+        if (page.contentType && !/html/i.test(page.contentType)) return false;
+
+        const audit = audits.get(page.url);
+        if (audit && /noindex/i.test(audit.metaRobots || '')) return false;
+
+        // canonical в отпечатке уже нормализован так же, как URL страницы
+        const fingerprint = fingerprints.get(page.url);
+        return !(fingerprint && fingerprint.canonical && fingerprint.canonical !== page.url);
+    });
+}
+
+function toW3cDate(httpDate) {
+    const date = httpDate ? new Date(httpDate) : null;
+    return date && !isNaN(date) ? date.toISOString() : null;
+}
+
+// Файлы sitemap: [{ name, content }]. Больше maxUrls адресов - несколько файлов
+// и индекс sitemap.xml, ссылающийся на них по адресу baseUrl + имя файла
+function resultsToSitemaps(results, { maxUrls = 50000, baseUrl = null } = {}) {
+    const pages = getSitemapPages(results);
+    const urlset = chunk => [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...chunk.map(page => {
+            const lastmod = toW3cDate(page.lastModified);
+            return `  <url><loc>${xmlEscape(page.url)}</loc>${lastmod ? `<lastmod>${lastmod}</lastmod>` : ''}</url>`;
+        }),
+        '</urlset>'
+    ].join('\n');
+
+    if (pages.length <= maxUrls) {
+        return [{ name: 'sitemap.xml', content: urlset(pages) }];
+    }
+
+    const root = baseUrl || (pages.length > 0 ? new URL('/', pages[0].url).href : '');
+    const files = [];
+    for (let i = 0; i < pages.length; i += maxUrls) {
+        files.push({ name: `sitemap-${files.length + 1}.xml`, content: urlset(pages.slice(i, i + maxUrls)) });
+    }
+
+    const index = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...files.map(file => `  <sitemap><loc>${xmlEscape(new URL(file.name, root).href)}</loc></sitemap>`),
+        '</sitemapindex>'
+    ].join('\n');
+
+    return [{ name: 'sitemap.xml', content: index }, ...files];
+}
+
+let crc32Table = null;
+
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// ZIP без сжатия: для XLSX и нескольких файлов sitemap этого достаточно.
+// files: [{ name, content: string | Uint8Array }]
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // имена в UTF-8
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        localParts.push(new Uint8Array(local.buffer), name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+}
+
+// Лист SpreadsheetML: числа - числами, остальное - строками прямо в ячейке
+function toSheetXml(rows) {
+    const columnName = index => {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    };
+
+    const sheetRows = rows.map((row, rowIndex) => {
+        const cells = row.map((value, columnIndex) => {
+            if (value === null || value === undefined || value === '') return '';
+            const ref = `${columnName(columnIndex)}${rowIndex + 1}`;
+            if (typeof value === 'number' && isFinite(value)) {
+                return `<c r="${ref}"><v>${value}</v></c>`;
+            }
+            // Excel не принимает управляющие символы в XML ячейки
+            const text = xmlEscape(String(value).replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '').slice(0, 32767));
+            return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+        }).join('');
+        return `<row r="${rowIndex + 1}">${cells}</row>`;
+    }).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" state="frozen"/></sheetView></sheetViews>' +
+        `<sheetData>${sheetRows}</sheetData></worksheet>`;
+}
+
+// Книга XLSX: страницы (выбранные колонки), битые ссылки и редиректы
+function resultsToXLSX(results, columnIds = null) {
+    const columns = resolvePageColumns(results, columnIds);
+    const redirectRows = [['URL', 'Status', 'Final URL', 'Hops', 'Redirect chain']];
+    results.pages
+        .filter(page => page.redirectChain.length > 0)
+        .forEach(page => {
+            redirectRows.push([
+                page.url,
+                page.redirectChain[0].status,
+                page.finalUrl,
+                page.redirectChain.length,
+                formatRedirectChain(page.redirectChain)
+            ]);
+        });
+
+    const sheets = [
+        { name: 'Pages', rows: [columns.map(column => column.title), ...getPageRows(results, columns)] },
+        { name: 'Broken links', rows: getBrokenLinkRows(results.brokenLinks) },
+        { name: 'Redirects', rows: redirectRows }
+    ];
+    const relationship = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+    return createZip([
+        {
+            name: '[Content_Types].xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                sheets.map((sheet, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                `<Relationship Id="rId1" Type="${relationship}/officeDocument" Target="xl/workbook.xml"/>` +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${relationship}"><sheets>` +
+                sheets.map((sheet, index) => `<sheet name="${sheet.name}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') +
+                '</sheets></workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                sheets.map((sheet, index) => `<Relationship Id="rId${index + 1}" Type="${relationship}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('') +
+                '</Relationships>'
+        },
+        ...sheets.map((sheet, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, content: toSheetXml(sheet.rows) }))
+    ]);
+}
+
+// Некорректный Location записываем как есть, чтобы не сорвать весь экспорт
+function resolveRedirectUrl(location, baseUrl) {
+    if (!location) return '';
+    try {
+        return new URL(location, baseUrl).href;
+    } catch (error) {
+        return location;
+    }
+}
+
+// Журнал запросов краулера в формате HAR 1.2 (тела ответов не сохраняются)
+function requestLogToHAR(requestLog) {
+    const toHeaderList = headers => Object.entries(headers || {}).map(([name, value]) => ({ name, value: String(value) }));
+
+    const entries = requestLog.map(entry => {
+        const headers = entry.responseHeaders || {};
+        const url = new URL(entry.url);
+        const contentLength = parseInt(headers['content-length']);
+
+        return {
+            startedDateTime: new Date(entry.startedAt).toISOString(),
+            time: entry.time,
+            request: {
+                method: entry.method,
+                url: entry.url,
+                httpVersion: 'HTTP/1.1',
+                cookies: [],
+                headers: toHeaderList(entry.requestHeaders),
+                queryString: Array.from(url.searchParams, ([name, value]) => ({ name, value })),
+                headersSize: -1,
+                bodySize: 0
+            },
+            response: {
+                status: entry.status,
+                statusText: entry.statusText,
+                httpVersion: 'HTTP/1.1',
+                cookies: [],
+                headers: toHeaderList(headers),
+                content: { size: isNaN(contentLength) ? -1 : contentLength, mimeType: headers['content-type'] || '' },
+                redirectURL: resolveRedirectUrl(headers.location, entry.url),
+                headersSize: -1,
+                bodySize: -1,
+                ...(entry.error ? { _error: entry.error } : {})
+            },
+            cache: {},
+            timings: { send: 0, wait: entry.time, receive: 0 }
+        };
+    });
+
+    return JSON.stringify({
+        log: {
+            version: '1.2',
+            creator: { name: 'Professional Web Crawler', version: '1.0' },
+            entries
+        }
+    }, null, 2);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        csvEscape, toCSV, PAGE_COLUMNS, getAvailablePageColumns, formatExtractedValue, resultsToCSV, resultsToJSON, resultsToTXT,
+        brokenLinksToCSV, resourcesToCSV, accessibilityToCSV, crawlDiffToCSV, linkGraphToGraphML, linkGraphToGEXF,
+        resultsToSitemaps, createZip, resultsToXLSX, requestLogToHAR
+    };
+}
@@ -0,0 +1,1213 @@
+// Локализация: интерфейс (index.html, app.js), журнал краулера и плагинов, форматирование времени.
+// Каталоги ru и en с одинаковыми ключами; параметры подставляются вместо {имя}.
+// В браузере подключается до crawler.js, язык выбирается в интерфейсе; в CLI - флагом --lang или CRAWLER_LANG.
+
+const DEFAULT_LOCALE = 'ru';
+
+const LOCALE_NAMES = { ru: 'Русский', en: 'English' };
+
+const MESSAGES = {
+    ru: {
+        // Журнал краулера
+        'crawler.start': '🚀 Запуск профессионального краулера...',
+        'crawler.target': '🎯 Цель: {url}',
+        'crawler.limit': '📊 Лимит: {maxPages} страниц',
+        'crawler.depth': '📏 Глубина: не больше {maxDepth} кликов от стартовой страницы',
+        'crawler.robotsStartHostOnly': '⚠️ robots.txt загружается только для стартового хоста',
+        'crawler.resume': '♻️ Продолжение сессии {sessionId}: {visited} обработано, {queued} в очереди',
+        'crawler.renderEngine': '🧩 Рендеринг JavaScript: {backend}',
+        'crawler.noRenderer': '⚠️ Движок рендеринга не подключен, страницы загружаются без исполнения JavaScript',
+        'crawler.error': '❌ Ошибка: {message}',
+        'crawler.listenerError': '❌ Ошибка в обработчике события "{event}": {message}',
+        'crawler.robotsLoaded': '🤖 Загружен robots.txt ({groups} групп правил)',
+        'crawler.crawlDelay': '🐢 Crawl-delay {seconds}с из robots.txt: задержка увеличена до {delay}мс',
+        'crawler.robotsUnavailable': '🤖 robots.txt недоступен, ограничений нет',
+        'crawler.robotsServerError': '⛔ robots.txt не получен ({reason}): по RFC 9309 обход хоста запрещен',
+        'crawler.throttleUp': '🐢 {host}: {reason}, задержка увеличена до {delay}мс',
+        'crawler.throttleNoResponse': 'нет ответа',
+        'crawler.throttleSlow': 'медленный ответ {time}мс',
+        'crawler.throttleRecovered': '🐇 {host}: сервер отвечает нормально, задержка вернулась к {delay}мс',
+        'crawler.retryAfter': '⏳ {host}: HTTP {status}, Retry-After - пауза {seconds}с',
+        'crawler.sitemapTotal': '🗺️ Из sitemap получено {pages} страниц (файлов: {files})',
+        'crawler.sitemapUnavailable': '🗺️ Sitemap недоступен: {url}',
+        'crawler.sitemapIndex': '🗺️ Индекс sitemap: {url} ({count} файлов)',
+        'crawler.sitemapLoaded': '🗺️ Sitemap: {url} ({count} URL)',
+        'crawler.processing': '📄 Обработка: {url}',
+        'crawler.redirect': '🔄 Редирект: {chain} → {finalUrl}',
+        'crawler.recovered': '✅ Загружено с {attempt}-й попытки: {url}',
+        'crawler.pageError': '❌ Ошибка: {url} - {message}',
+        'crawler.pageErrorAttempts': '❌ Ошибка: {url} - {message} (попыток: {attempts})',
+        'crawler.retryScheduled': '🔁 Повтор через {seconds}с (попытка {attempt} из {maxAttempts}): {url} - {message}',
+        'crawler.jsLinks': '🧩 JavaScript добавил ссылок: {count} на {url}',
+        'crawler.compareFailed': '⚠️ Не удалось сравнить ссылки без рендеринга: {url} - {message}',
+        'crawler.auth': '🔐 Авторизация: {type}',
+        'crawler.cookiesImported': '🍪 Импортировано cookies: {count}',
+        'crawler.cookiesBrowser': '⚠️ В браузере cookies передаются только через локальный прокси',
+        'crawler.loginStart': '🔑 Вход через форму: {url}',
+        'crawler.loginDone': '🔑 Вход выполнен: {url}, получено cookies: {count}',
+        'crawler.transportDisabled': '🔌 Транспорт {name} отключен на {seconds}с после {failures} сбоев подряд: {message}',
+        'crawler.nofollow': '🚫 meta robots nofollow: ссылки со страницы {url} не обрабатываются',
+        'crawler.discovered': '🔍 Найдена новая страница: {url}',
+        'crawler.externalCheck': '🌐 Проверка внешних ссылок: {count}',
+        'crawler.externalBroken': '🔗 Битая внешняя ссылка: {url} - {error}',
+        'crawler.skipped': '🚫 Пропущено ({reason}): {url}',
+        'crawler.complete': '✅ Сбор страниц завершен!',
+        'crawler.summary': '📊 Итоговая статистика:',
+        'crawler.summarySuccess': '   ✅ Успешно: {count} страниц',
+        'crawler.summaryFailed': '   ❌ Ошибки: {count} страниц',
+        'crawler.summaryDuplicates': '   🔄 Дубликатов: {count}',
+        'crawler.summaryRetries': '   🔁 Повторов: {retries}, восстановлено после повтора: {recovered}',
+        'crawler.stopped': '⏹️ Сбор страниц остановлен',
+        'crawler.checkpointFailed': '💾 Не удалось сохранить сессию: {message}',
+        'crawler.paused': '⏸️ Пауза',
+        'crawler.resumed': '▶️ Продолжено',
+
+        // Причины пропуска URL
+        'skip.extension': 'расширение {extension}',
+        'skip.depth': 'глубина {depth} больше {maxDepth}',
+        'skip.depthUnknown': 'страница из sitemap без ссылок на нее: глубина неизвестна, а ограничена {maxDepth}',
+        'skip.excluded': 'правило исключения {pattern}',
+        'skip.logout': 'выход из аккаунта при авторизованном обходе',
+        'skip.notIncluded': 'не подходит под правила включения',
+
+        // Журнал плагинов и CLI
+        'plugin.extractionFailed': '🧲 Правило "{rule}" не сработало на {url}: {message}',
+        'plugin.archiveFailed': '🗄️ Не удалось сохранить страницу в архив: {message}',
+        'plugin.resourcesCheck': '🧱 Проверка ресурсов: {count}',
+        'plugin.resourcesSummary': '🧱 Ресурсы: {checked} проверено, {size}; тяжелых картинок {oversized}, без сжатия {uncompressed}, без кэша {uncached}, смешанный контент {mixed}',
+        'plugin.accessibilitySummary': '♿ Доступность: проверено страниц {checked}, с проблемами {withIssues}; проблем {total}: критичных {critical}, серьезных {serious}, умеренных {moderate}, незначительных {minor}',
+        'cli.progress': '📈 {visited} обработано | {queued} в очереди | {failed} ошибок | осталось ~{remaining}',
+        'cli.titleNotChecked': '⚠️ Смена title не проверена: в прошлом запуске не было SEO-аудита',
+        'cli.noAlerts': '🔕 Условия оповещений не сработали',
+        'cli.alert': '🚨 {message}',
+        'cli.alertFailed': '❌ Оповещение {channel} не отправлено: {error}',
+        'cli.alertSent': '📣 Оповещение отправлено: {channel}',
+        'cli.resultsSaved': '📥 Результаты сохранены: {path}',
+        'cli.diffSaved': '📥 Сравнение сохранено: {path}',
+        'cli.resourcesSaved': '📥 Отчет по ресурсам сохранен: {path}',
+        'cli.accessibilitySaved': '📥 Отчет по доступности сохранен: {path}',
+        'cli.firstProfileRun': '📌 Первый запуск профиля: результаты сохранены для следующих сравнений',
+        'cli.outputDirMissing': '❌ Папка для {path} не существует: {dir}',
+        'cli.unexpectedError': '❌ Непредвиденная ошибка: {message}',
+        'cli.diffSummary': '🆚 Сравнение с прошлым обходом ({before} → {after} страниц): +{added} новых, -{removed} пропавших, {statusChanges} смен кода, {brokenLinks} новых битых ссылок, {contentChanges} изменений содержимого',
+
+        // Время
+        'time.hours': '{h}ч {m}м {s}с',
+        'time.minutes': '{m}м {s}с',
+        'time.seconds': '{s}с',
+        'time.calculating': 'расчет...',
+        'time.finishing': 'завершается...',
+        'size.bytes': '{value} Б',
+        'size.kilobytes': '{value} КБ',
+        'size.megabytes': '{value} МБ',
+
+        // Уровни журнала
+        'level.debug': 'Отладка',
+        'level.info': 'Инфо',
+        'level.warning': 'Предупреждение',
+        'level.error': 'Ошибка',
+
+        // Страница
+        'ui.subtitle': 'Полнофункциональный инструмент для сбора всех страниц сайта',
+        'ui.language': 'Язык:',
+        'form.url': 'URL сайта:',
+        'form.maxPages': 'Максимум страниц:',
+        'form.delay': 'Задержка (мс):',
+        'form.concurrency': 'Параллельных загрузок:',
+        'form.usePuppeteer': 'Исполнять JavaScript при запуске профиля из CLI (Puppeteer или Playwright); в браузере страницы загружаются без рендеринга',
+        'form.respectRobots': 'Соблюдать robots.txt и nofollow',
+        'form.useSitemaps': 'Загрузить страницы из sitemap.xml',
+        'form.checkExternalLinks': 'Проверять внешние ссылки (HEAD)',
+        'form.seoAudit': 'SEO-аудит страниц',
+        'form.detectDuplicates': 'Искать дубликаты по содержимому',
+        'form.auditResources': 'Аудит ресурсов: вес, сжатие, кэш',
+        'form.archivePages': 'Сохранять текст страниц для поиска',
+        'form.archiveRawHtml': 'Сохранять и исходный HTML (для WARC)',
+        'form.auditAccessibility': 'Проверять доступность (WCAG)',
+        'form.userAgent': 'User-agent для robots.txt:',
+        'form.transport': 'Как загружать страницы:',
+        'form.transportLocalProxy': 'Локальный прокси (node proxy-server.js)',
+        'form.transportProxy': 'Свои прокси по шаблону',
+        'form.transportDirect': 'Напрямую (только сайты с CORS)',
+        'form.localProxyUrl': 'Адрес локального прокси:',
+        'form.localProxyToken': 'Токен локального прокси (proxy-server.js выводит его при запуске):',
+        'form.proxyTemplates': 'Шаблоны прокси ({url} или {encodedUrl}, по одному в строке):',
+        'form.requestTimeout': 'Таймаут запроса (мс):',
+        'form.retries': 'Повторов при сбое сети:',
+        'form.maxPageAttempts': 'Попыток загрузить страницу при таймауте, 429 или 5xx:',
+        'form.adaptiveThrottle': 'Замедляться при ошибках сервера и медленных ответах',
+        'form.requestHeaders': 'Заголовки запросов (Имя: значение, по одному в строке):',
+        'form.authType': 'Авторизация на сайте:',
+        'form.authNone': 'Без авторизации',
+        'form.authBasic': 'HTTP Basic (логин и пароль)',
+        'form.authBearer': 'Bearer-токен',
+        'form.authUsername': 'Логин:',
+        'form.authPassword': 'Пароль:',
+        'form.authToken': 'Токен:',
+        'form.cookieImport': 'Cookies (cookies.txt, JSON из браузера или name=value; только через локальный прокси):',
+        'form.useCookieJar': 'Сохранять cookies сайта между запросами',
+        'form.scope': 'Область обхода:',
+        'form.scopeHost': 'Только этот хост',
+        'form.scopeSubdomains': 'Домен и все поддомены',
+        'form.scopePath': 'Только папка стартового URL',
+        'form.scopeHosts': 'Этот хост и список хостов',
+        'form.allowedHosts': 'Разрешенные хосты (через запятую):',
+        'form.maxDepth': 'Максимальная глубина (0 - без ограничения):',
+        'form.stripWww': 'Считать www.site и site одним хостом',
+        'form.stripTrailingSlash': 'Убирать слэш в конце пути',
+        'form.sortQueryParams': 'Сортировать параметры запроса',
+        'form.lowercasePaths': 'Пути без учета регистра',
+        'form.indexFiles': 'Индексные файлы (/dir/index.html = /dir/):',
+        'form.ignoredParams': 'Отбрасывать параметры (glob или /regex/):',
+        'form.excludedExtensions': 'Не загружать расширения:',
+        'form.includePatterns': 'Включать только URL (по одному правилу в строке):',
+        'form.excludePatterns': 'Исключать URL (glob или /регулярное выражение/):',
+
+        'extraction.title': '🧲 Извлечение данных со страниц',
+        'extraction.hint': 'CSS-селектор, XPath или регулярное выражение по HTML. Атрибут: пусто - текст, html - разметка элемента, иначе имя атрибута.',
+        'extraction.add': '➕ Добавить правило',
+        'extraction.saveSet': '💾 Сохранить набор',
+        'extraction.loadSet': '📂 Загрузить набор',
+        'extraction.fieldName': 'Имя поля',
+        'extraction.attribute': 'Атрибут (текст)',
+        'extraction.multiple': 'все',
+        'extraction.urlPattern': 'Только URL: /product/*',
+        'extraction.remove': 'Удалить правило',
+
+        'profile.title': '⏰ Профиль, расписание и оповещения',
+        'profile.hint': 'Профиль хранит URL и все настройки формы. По расписанию его запускает демон: node daemon.js <папка профилей>, один раз - node cli.js --profile <файл>. Пароли и токены в профиль не сохраняются: их берут из CRAWLER_PASSWORD, CRAWLER_TOKEN и SMTP_PASSWORD.',
+        'profile.name': 'Имя профиля:',
+        'profile.namePlaceholder': 'по хосту сайта',
+        'profile.schedule': 'Расписание (интервал или cron):',
+        'profile.schedulePlaceholder': '6h или 0 3 * * 1-5',
+        'profile.alertNewErrors': 'Оповещать о новых страницах с ошибками 4xx/5xx',
+        'profile.alertPageDrop': 'Оповещать, если страниц меньше на, % (0 - нет):',
+        'profile.alertTitlePages': 'Ключевые страницы: оповещать о смене title (по одной в строке):',
+        'profile.alertWebhook': 'Webhook (Slack, Mattermost или свой):',
+        'profile.alertEmailTo': 'Email получателей (через запятую):',
+        'profile.alertSmtp': 'SMTP-сервер:',
+        'profile.alertLogFile': 'Файл журнала оповещений:',
+        'profile.save': '💾 Сохранить профиль',
+        'profile.load': '📂 Загрузить профиль',
+
+        'controls.start': '▶️ Начать сбор страниц',
+        'controls.stop': '⏹️ Остановить',
+        'controls.pause': '⏸️ Пауза',
+        'controls.resume': '▶️ Продолжить',
+
+        'sessions.title': '💾 Сохраненные сессии',
+        'sessions.running': 'прервана',
+        'sessions.stopped': 'остановлена',
+        'sessions.completed': 'завершена',
+        'sessions.progress': '{visited}/{maxPages} обработано · {queued} в очереди · {failed} ошибок',
+        'sessions.resume': '♻️ Продолжить',
+        'sessions.compare': '🆚 Сравнить',
+        'sessions.delete': '🗑️ Удалить',
+
+        'log.title': 'Журнал работы:',
+        'log.levelAll': 'Все записи',
+        'log.levelInfo': 'Инфо и важнее',
+        'log.levelWarning': 'Предупреждения и ошибки',
+        'log.levelError': 'Только ошибки',
+        'log.search': 'Поиск по журналу',
+        'log.export': '📥 Скачать журнал',
+        'log.shown': 'Показано {shown} из {total}',
+
+        'progress.summary': '{visited} обработано | {queued} в очереди | {failed} ошибок | {processed} всего',
+        'progress.elapsed': 'Прошло времени',
+        'progress.remaining': 'Осталось времени',
+        'progress.average': 'Среднее время на страницу',
+        'progress.speed': '⚡ Скорость: ~{speed} стр/мин',
+        'progress.eta': '⏱️ Завершение: через {time}',
+        'progress.success': 'Успешно',
+        'progress.queued': 'В очереди',
+        'progress.errors': 'Ошибки',
+        'progress.duplicates': 'Дубликаты',
+
+        'results.title': '✅ Сбор завершен!',
+        'results.crawled': '✅ <strong>Успешно собрано:</strong> {count} страниц',
+        'results.failed': '❌ <strong>Ошибки:</strong> {count} страниц',
+        'results.duplicates': '🔄 <strong>Найдено дубликатов:</strong> {count}',
+        'results.external': '🌐 <strong>Внешних ссылок:</strong> {count}',
+        'results.skipped': '🚫 <strong>Пропущено по правилам:</strong> {count}',
+        'results.redirects': '↪️ <strong>Редиректов:</strong> {count}',
+        'results.retries': '🔁 <strong>Повторных загрузок:</strong> {retries}, восстановлено {recovered} страниц',
+        'results.brokenLinks': '🔗 <strong>Битых ссылок:</strong> {count}',
+        'results.archive': '🗄️ <strong>В архиве:</strong> {count} страниц',
+        'results.archiveRawHtml': '🗄️ <strong>В архиве:</strong> {count} страниц с HTML',
+        'results.duplicateGroups': '🧬 <strong>Групп дубликатов:</strong> {exact} точных, {near} похожих',
+        'results.statusCodes': '📶 <strong>Коды ответов:</strong> {codes}',
+        'results.sitemapPages': '🗺️ <strong>Страниц в sitemap:</strong> {count}',
+        'results.orphans': '🏝️ <strong>Сироты (в sitemap, но без ссылок):</strong> {count}',
+        'results.missingFromSitemap': '❓ <strong>Нет в sitemap:</strong> {count}',
+        'results.accessibility': '♿ <strong>Проблем доступности:</strong> {count} на {pages} страницах',
+        'results.exportCsv': '📥 Скачать CSV',
+        'results.exportXlsx': '📗 Скачать Excel',
+        'results.exportJson': '📊 Скачать JSON',
+        'results.exportTxt': '📄 Скачать TXT',
+        'results.exportSitemap': '🗺️ Скачать sitemap.xml',
+        'results.exportHar': '🧾 Журнал запросов HAR',
+        'results.exportWarc': '🗄️ Архив WARC',
+        'results.viewList': '👁️ Просмотреть список',
+        'results.viewBrokenLinks': '🔗 Битые ссылки',
+        'results.exportBrokenLinks': '📥 Битые ссылки CSV',
+        'results.viewSeo': '🔎 SEO-аудит',
+        'results.viewSitemap': '🗺️ Отчет по sitemap',
+        'results.viewDuplicates': '🧬 Дубликаты',
+        'results.viewResources': '🧱 Ресурсы',
+        'results.viewAccessibility': '♿ Доступность',
+        'results.viewExtraction': '🧲 Извлеченные данные',
+        'results.viewUrlTree': '🌳 Дерево URL',
+        'results.viewLinkGraph': '🕸️ Граф ссылок',
+        'results.compare': '🆚 Сравнить с прошлым обходом',
+        'results.archiveQuery': 'Поиск по тексту страниц: слова или "точная фраза"',
+        'results.archiveSearch': '🔍 Найти',
+        'results.columns': 'Колонки CSV и Excel',
+        'results.pagesFound': 'Найденные страницы:',
+
+        // Отчеты
+        'report.notFound': 'Не найдено',
+        'report.none': 'Нет',
+        'report.noData': 'Нет данных',
+        'report.searchHeading': '🔍 «{query}»: {count} страниц',
+        'report.searchEmpty': 'Ничего не найдено',
+        'report.searchMatches': 'совпадений: {count}',
+        'report.noBrokenLinks': 'Битых ссылок не найдено 🎉',
+        'report.externalLink': 'внешняя',
+        'report.seoIssues': '🔎 Проблемы по сайту',
+        'report.seoNoIssues': 'Проблем не найдено 🎉',
+        'report.seoDuplicateTitles': '📑 Повторяющиеся title',
+        'report.seoDuplicateDescriptions': '📝 Повторяющиеся description',
+        'report.seoPages': '📄 Страницы с проблемами',
+        'report.columnWords': 'Слов',
+        'report.columnIssues': 'Проблемы',
+        'report.columnResource': 'Ресурс',
+        'report.columnType': 'Тип',
+        'report.columnPages': 'Страниц',
+        'report.columnDetails': 'Подробности',
+        'report.columnWeight': 'Вес',
+        'report.columnAssets': 'Ресурсов',
+        'report.columnTiming': 'TTFB / загрузка, мс',
+        'report.columnHttpsPage': 'Страница HTTPS',
+        'report.columnHttpResource': 'Ресурс по HTTP',
+        'report.resourcesSummary': '🧱 Ресурсов: {checked} из {total}, всего {size};',
+        'report.unknownSize': '+{count} без размера',
+        'report.heaviestPages': '🏋️ Самые тяжелые страницы',
+        'report.oversizedImages': '🖼️ Картинки больше {size}',
+        'report.uncompressed': '🗜️ Без сжатия',
+        'report.uncached': '⏳ Без кэширования',
+        'report.noCacheHeaders': 'нет Cache-Control и Expires',
+        'report.failedAssets': '❌ Недоступные ресурсы',
+        'report.mixedContent': '🔓 Смешанный контент ({count})',
+        'report.a11ySummary': '♿ Проверено страниц: {checked}, с проблемами: {withIssues}, всего проблем: {total}',
+        'report.a11yIssues': '♿ Проблемы по сайту',
+        'report.a11yNoIssues': 'Проблем не найдено 🎉',
+        'report.a11yPages': '📄 Страницы с проблемами',
+        'report.a11yPageCount': 'проблем: {count}',
+        'report.a11yMore': 'и еще {count} - в отчет попадают первые {limit} одинаковых проблем на странице',
+        'report.columnSeverity': 'Серьезность',
+        'report.columnIssue': 'Проблема',
+        'report.columnOccurrences': 'Всего',
+        'report.extractionHeading': '🧲 Извлеченные данные ({count} страниц)',
+        'report.extractionEmpty': 'Ни одно правило не сработало',
+        'report.exactDuplicates': '🧬 Одинаковое содержимое',
+        'report.exactCluster': '{count} URL, хеш {hash}',
+        'report.nearDuplicates': '🪞 Почти одинаковый текст',
+        'report.nearCluster': '{count} URL, сходство {percent}%',
+        'report.canonicalDuplicates': '🏷️ Общий rel=canonical',
+        'report.graphEmpty': 'Нет обойденных страниц',
+        'report.graphDepthRings': 'Уровни глубины',
+        'report.graphRedirect': 'редирект',
+        'report.graphError': 'ошибка',
+        'report.graphSize': '· размер - число входящих ссылок',
+        'report.graphHint': 'Нажмите на узел, чтобы увидеть страницу; узлы можно перетаскивать',
+        'report.graphNode': 'глубина {depth} · входящих {inbound} · исходящих {outbound}',
+        'report.diffContent': 'Содержимое',
+        'report.diffExportCsv': '📥 Сравнение CSV',
+        'report.diffExportJson': '📥 Сравнение JSON',
+        'report.diffTotals': 'Страниц было {before}, стало {after}',
+        'report.diffNotCompared': 'Не сравнивались (аудит выключен в одном из обходов): {fields}',
+        'report.diffNewPages': '🆕 Новые страницы',
+        'report.diffRemovedPages': '🕳️ Пропавшие страницы',
+        'report.diffStatusChanges': '📶 Изменился код ответа',
+        'report.diffNewBrokenLinks': '🔗 Новые битые ссылки',
+        'report.diffBrokenLinkSources': '{error} · ссылок: {count}',
+        'report.diffFixedBrokenLinks': '✅ Исправленные битые ссылки',
+        'report.diffContentChanges': '✏️ Изменилось содержимое',
+        'report.sitemapOrphans': '🏝️ В sitemap, но нет ссылок',
+        'report.sitemapMissing': '❓ Найдены по ссылкам, но нет в sitemap',
+
+        // Проблемы SEO-аудита (коды из seo-audit.js)
+        'seo.title_missing': 'Нет тега <title>',
+        'seo.title_too_long': 'Слишком длинный title',
+        'seo.title_duplicate': 'Title повторяется на других страницах',
+        'seo.description_missing': 'Нет meta description',
+        'seo.description_too_long': 'Слишком длинный meta description',
+        'seo.description_duplicate': 'Description повторяется на других страницах',
+        'seo.h1_missing': 'Нет заголовка h1',
+        'seo.h1_multiple': 'Несколько заголовков h1',
+        'seo.canonical_mismatch': 'Canonical указывает на другой URL',
+        'seo.canonical_broken': 'Canonical указывает на недоступную страницу',
+        'seo.images_missing_alt': 'Изображения без alt',
+
+        // Проблемы доступности (коды из accessibility-audit.js)
+        'a11y.image_missing_alt': 'Картинка без alt',
+        'a11y.input_missing_label': 'Поле формы без подписи',
+        'a11y.empty_button': 'Кнопка без текста',
+        'a11y.empty_link': 'Ссылка без текста',
+        'a11y.html_missing_lang': 'Нет атрибута lang у <html>',
+        'a11y.heading_level_skipped': 'Пропущен уровень заголовка',
+        'a11y.duplicate_id': 'Повторяющийся id',
+        'a11y.main_landmark_missing': 'Нет ориентира main',
+        'a11y.landmark_missing': 'Нет ориентиров',
+        'severity.critical': 'критично',
+        'severity.serious': 'серьезно',
+        'severity.moderate': 'умеренно',
+        'severity.minor': 'незначительно',
+
+        // Сообщения интерфейса
+        'app.enterUrl': 'Введите URL сайта',
+        'app.cookiesFailed': 'Не удалось разобрать cookies: {message}',
+        'app.rulesLoaded': '🧲 Загружено правил извлечения: {count}',
+        'app.rulesFailed': 'Не удалось загрузить правила из {file}: {message}',
+        'app.profileNotSaved': 'Профиль не сохранен: {message}',
+        'app.profileLoaded': '⏰ Профиль {name} загружен, расписание: {schedule}',
+        'app.profileFailed': 'Не удалось загрузить профиль из {file}: {message}',
+        'app.sessionsFailed': '💾 Не удалось прочитать сохраненные сессии: {message}',
+        'app.sessionNotFound': 'Сессия не найдена',
+        'app.archiveDeleteFailed': '🗄️ Не удалось удалить архив: {message}',
+        'app.error': '❌ {message}',
+        'app.selectColumn': 'Выберите хотя бы одну колонку для экспорта',
+        'app.warcFailed': 'Не удалось собрать WARC: {message}',
+        'app.searchFailed': 'Поиск не удался: {message}',
+        'app.fileDownloaded': '📥 Файл {file} скачан',
+        'app.pngFailed': 'Не удалось преобразовать SVG в PNG',
+        'app.diffSummary': '🆚 Сравнение с прошлым обходом: +{added} новых, -{removed} пропавших страниц',
+        'app.compareFailed': 'Не удалось сравнить с {file}: {message}',
+
+        // Командная строка и демон: справка, сообщения, профили и оповещения; ошибки движка
+        'help.cli.usage': 'Использование: node cli.js <url> [options]\n       node cli.js --resume <id|latest> [options]\n       node cli.js --profile <profile.json> [options]',
+        'help.cli.maxPages': 'Максимум страниц (по умолчанию 500)',
+        'help.cli.delay': 'Задержка между запросами к хосту, мс (по умолчанию 200)',
+        'help.cli.concurrency': 'Параллельных загрузок (по умолчанию 4)',
+        'help.cli.requestTimeout': 'Таймаут запроса, мс (по умолчанию 30000)',
+        'help.cli.transport': 'Транспорт: direct, proxy, local-proxy (по умолчанию direct)',
+        'help.cli.proxyTemplates': 'Шаблон прокси с {url} или {encodedUrl} (можно повторять, включает --transport proxy)',
+        'help.cli.localProxyUrl': 'Адрес proxy-server.js (включает --transport local-proxy)',
+        'help.cli.localProxyToken': 'Токен proxy-server.js: из --token или выведенный при его запуске',
+        'help.cli.retries': 'Повторов при сбое сети (по умолчанию 2)',
+        'help.cli.retryBaseDelay': 'Задержка перед первым повтором, мс, дальше вдвое больше (по умолчанию 500)',
+        'help.cli.maxPageAttempts': 'Попыток загрузить страницу при таймауте, 429 или 5xx (по умолчанию 3)',
+        'help.cli.pageRetryDelay': 'Пауза перед повторной загрузкой страницы, мс, дальше вдвое больше (по умолчанию 5000)',
+        'help.cli.maxAdaptiveDelay': 'Предел адаптивной задержки при ошибках сервера, мс (по умолчанию 10000)',
+        'help.cli.adaptiveThrottle': 'Не замедляться при ошибках сервера и медленных ответах',
+        'help.cli.headers': 'Заголовок запроса "Имя: значение" (можно повторять)',
+        'help.cli.user': 'Basic-авторизация "логин:пароль" или "логин" с паролем из CRAWLER_PASSWORD',
+        'help.cli.bearer': 'Bearer-токен; "-" - взять из CRAWLER_TOKEN',
+        'help.cli.cookiesFile': 'Файл cookies: cookies.txt (Netscape), JSON из браузера или строка "name=value; ..."',
+        'help.cli.cookie': 'Cookie "name=value" для стартового хоста (можно повторять)',
+        'help.cli.useCookieJar': 'Не сохранять Set-Cookie между запросами',
+        'help.cli.loginFile': 'Вход через форму перед обходом: JSON { url, fields: { селектор: значение | "env:ИМЯ" }, submit, waitFor }',
+        'help.cli.usePuppeteer': 'Исполнять JavaScript в headless-браузере',
+        'help.cli.renderBackend': 'Движок для --js: puppeteer или playwright (по умолчанию puppeteer)',
+        'help.cli.renderWaitUntil': 'Когда страница готова: load, domcontentloaded, networkidle (по умолчанию networkidle)',
+        'help.cli.renderWaitForSelector': 'Дождаться появления CSS-селектора',
+        'help.cli.compareRenderedLinks': 'Сравнить ссылки с версией без JavaScript',
+        'help.cli.respectRobots': 'Игнорировать robots.txt и nofollow',
+        'help.cli.userAgent': 'User-agent для robots.txt',
+        'help.cli.useSitemaps': 'Загрузить страницы из sitemap.xml',
+        'help.cli.checkExternalLinks': 'Проверять внешние ссылки',
+        'help.cli.seoAudit': 'SEO-аудит страниц',
+        'help.cli.auditResources': 'Проверить картинки, стили и скрипты: вес, сжатие, кэш, смешанный контент',
+        'help.cli.resourceRequestMethod': 'Запрос ресурсов: HEAD или GET (по умолчанию HEAD)',
+        'help.cli.resourcesOutput': 'CSV со всеми проверенными ресурсами (включает --audit-resources)',
+        'help.cli.auditAccessibility': 'Проверить доступность (WCAG): alt, подписи полей, lang, заголовки, пустые ссылки и кнопки, id, ориентиры',
+        'help.cli.accessibilityOutput': 'CSV с проблемами доступности по страницам (включает --audit-accessibility)',
+        'help.cli.detectDuplicates': 'Не искать дубликаты по содержимому',
+        'help.cli.archivePages': 'Сохранять текст страниц в --archive-dir (нужно для --format warc)',
+        'help.cli.archiveRawHtml': 'Сохранять в архив и исходный HTML',
+        'help.cli.archiveDir': 'Папка архива страниц (по умолчанию archive в --state-dir)',
+        'help.cli.rules': 'Файл правил извлечения данных (JSON, сохраняется из интерфейса)',
+        'help.cli.scope': 'Область обхода: host, subdomains, path (папка стартового URL: /docs - это /docs/), hosts (по умолчанию host)',
+        'help.cli.allowedHosts': 'Хосты для --scope hosts через запятую (*.example.com - с поддоменами)',
+        'help.cli.maxDepth': 'Глубина в кликах от стартовой страницы (0 - без ограничения)',
+        'help.cli.includePatterns': 'Обходить только подходящие URL: glob или /regex/ (можно повторять)',
+        'help.cli.excludePatterns': 'Исключить URL: glob или /regex/ (можно повторять, заменяет стандартный список)',
+        'help.cli.stripWww': 'Считать www.site и site разными хостами',
+        'help.cli.stripTrailingSlash': 'Не убирать слэш в конце пути',
+        'help.cli.sortQueryParams': 'Не сортировать параметры запроса',
+        'help.cli.lowercasePaths': 'Пути без учета регистра',
+        'help.cli.indexFiles': 'Индексные файлы через запятую (по умолчанию index.html,index.htm,index.php)',
+        'help.cli.ignoredParams': 'Отбрасываемые параметры через запятую (по умолчанию utm_*,fbclid,gclid,msclkid,yclid,trk_*)',
+        'help.cli.excludedExtensions': 'Не загружать расширения через запятую (по умолчанию .pdf,.jpg,.jpeg,.png,.gif,.zip)',
+        'help.cli.output': 'Файл результатов (по умолчанию stdout)',
+        'help.cli.format': 'Формат: json, csv, xlsx, txt, sitemap, har, warc, graphml, gexf (по умолчанию по расширению --output или json)',
+        'help.cli.columns': 'Колонки CSV и XLSX через запятую: {columns},extract:<правило>',
+        'help.cli.compare': 'Сравнить с прошлым обходом: JSON-экспорт, файл сессии, id сессии или latest',
+        'help.cli.diffOutput': 'Файл сравнения: .csv или .json (по умолчанию только сводка в журнале)',
+        'help.cli.profile': 'Профиль обхода (JSON): URL, настройки и оповещения; флаги переопределяют настройки профиля',
+        'help.cli.stateDir': 'Папка с результатами прошлых запусков профилей и архивом страниц (по умолчанию .crawler-state)',
+        'help.cli.maxFailures': 'Порог ошибок: число или процент (например 5%)',
+        'help.cli.sessionDir': 'Сохранять сессию в папку для продолжения (по умолчанию .crawler-sessions)',
+        'help.cli.resume': 'Продолжить сессию: id или latest',
+        'help.cli.listSessions': 'Показать сохраненные сессии',
+        'help.cli.deleteSession': 'Удалить сохраненную сессию',
+        'help.cli.quiet': 'Выводить в журнал только ошибки (то же, что --log-level error)',
+        'help.cli.logLevel': 'Наименьший уровень записей журнала: debug, info, warning, error (по умолчанию debug)',
+        'help.cli.lang': 'Язык журнала: ru или en (по умолчанию CRAWLER_LANG или ru)',
+        'help.cli.help': 'Показать справку',
+        'cli.unknownFlag': 'Неизвестный флаг: {flag}',
+        'cli.flagNeedsValue': 'Флаг {flag} требует значение',
+        'cli.flagNeedsNumber': 'Флаг {flag} требует неотрицательное число',
+        'cli.noSessions': 'Сохраненных сессий нет',
+        'cli.envMissing': 'Переменная окружения {name} для {label} не задана',
+        'cli.envLabelField': 'поля {selector}',
+        'cli.envLabelPassword': 'пароля',
+        'cli.envLabelToken': 'токена',
+        'cli.envLabelChannel': 'канала {type}',
+        'cli.passwordEnvMissing': 'Для --user без пароля задайте переменную окружения CRAWLER_PASSWORD',
+        'cli.tokenEnvMissing': 'Переменная окружения CRAWLER_TOKEN не задана',
+        'cli.loginUrlMissing': 'В {file} нет url страницы входа',
+        'cli.error': '❌ {message}',
+        'cli.multipleFiles': '❌ Результат состоит из {count} файлов - укажите --output',
+        'cli.invalidLang': '❌ --lang: {allowed}, а не {value}',
+        'cli.invalidLogLevel': '❌ --log-level: {allowed}, а не {value}',
+        'cli.profileFailed': '❌ Профиль {file}: {message}',
+        'cli.invalidResourceMethod': '❌ --resource-method: HEAD или GET, а не {value}',
+        'cli.sessionDeleted': '🗑️ Сессия удалена: {id}',
+        'cli.sessionNotFound': '❌ Сессия не найдена: {id}',
+        'cli.unknownFormat': '❌ Неизвестный формат: {format}',
+        'cli.previousNotFound': '❌ Прошлый обход не найден: {value}',
+        'cli.previousFailed': '❌ Не удалось прочитать прошлый обход: {message}',
+        'cli.authFailed': '❌ Ошибка в параметрах авторизации: {message}',
+        'cli.rulesFailed': '❌ Не удалось прочитать правила извлечения {file}: {message}',
+        'cli.unknownColumn': '❌ Неизвестная колонка: {column}',
+        'cli.invalidMaxFailures': '❌ Некорректный порог ошибок: {value}',
+        'cli.invalidHeader': '❌ Заголовок задается как "Имя: значение"',
+        'cli.warcNeedsArchive': '❌ Для --format warc нужен архив страниц: добавьте --archive',
+        'cli.tooManyFailures': '❌ Ошибок больше порога: {count} (порог {threshold})',
+        'help.daemon.usage': 'Использование: node daemon.js <профиль.json | папка профилей>... [options]',
+        'help.daemon.stateDir': 'Папка с результатами прошлых запусков (по умолчанию .crawler-state)',
+        'help.daemon.list': 'Показать профили и время следующего запуска и выйти',
+        'help.daemon.verbose': 'Полный журнал обходов (по умолчанию только ошибки)',
+        'help.daemon.lang': 'Язык журнала демона и обходов: ru или en (по умолчанию CRAWLER_LANG или ru)',
+        'help.daemon.help': 'Показать справку',
+        'daemon.duplicateName': 'имя {name} уже занято другим профилем',
+        'daemon.profileError': '❌ Профиль {file}: {message}',
+        'daemon.noProfiles': 'Профилей нет',
+        'daemon.started': '⏰ Демон запущен: профилей {count}, состояние в {stateDir}',
+        'daemon.profileSchedule': '   {name}: {schedule}, следующий запуск {next}',
+        'daemon.notScheduled': 'не запланирован',
+        'daemon.run': '▶️ {name}: обход {url}',
+        'daemon.finished': '{icon} {name}: код выхода {code}, {duration} с',
+        'daemon.stopping': '⏹️ Остановка: ждем завершения обходов ({count})',
+        'daemon.pathNotFound': '❌ Не найден профиль или папка: {path}',
+        'schedule.manual': 'вручную',
+        'schedule.interval': 'каждые {interval}',
+        'schedule.cron': 'cron {cron}',
+        'schedule.field.minute': 'минута',
+        'schedule.field.hour': 'час',
+        'schedule.field.day': 'день месяца',
+        'schedule.field.month': 'месяц',
+        'schedule.field.weekday': 'день недели',
+        'schedule.invalidInterval': 'Некорректный интервал "{text}": нужно число с единицей m, h или d (например 30m, 6h, 1d)',
+        'schedule.invalidValue': 'поле "{field}": недопустимое значение {value}',
+        'schedule.invalidStep': 'поле "{field}": некорректный шаг в {part}',
+        'schedule.reversedRange': 'поле "{field}": обратный диапазон {range}',
+        'schedule.cronFieldCount': 'Cron-выражение "{expression}": нужно 5 полей (минута час день месяц день_недели)',
+        'schedule.cronInvalid': 'Cron-выражение "{expression}": {message}',
+        'schedule.cronNever': 'Cron-выражение "{expression}" никогда не срабатывает',
+        'schedule.bothKinds': 'В расписании нужно что-то одно: interval или cron',
+        'schedule.noKind': 'В расписании нет ни interval, ни cron',
+        'schedule.ruleLabel': 'Условие оповещения #{index}',
+        'schedule.channelLabel': 'Канал оповещений #{index}',
+        'schedule.unknownType': '{label}: неизвестный тип {type} (допустимы: {allowed})',
+        'schedule.invalidPercent': '{label}: percent должен быть от 1 до 100',
+        'schedule.invalidPages': '{label}: pages должен быть списком URL или шаблонов',
+        'schedule.missingField': '{label}: не указан {field}',
+        'schedule.missingSmtp': '{label}: не указан smtp-сервер (smtp://логин@хост:587)',
+        'schedule.missingRecipient': '{label}: не указан получатель to',
+        'schedule.profileNotObject': 'Профиль должен быть JSON-объектом',
+        'schedule.profileNoStartUrl': 'В профиле нет startUrl',
+        'schedule.profileInvalidStartUrl': 'Некорректный startUrl: {url}',
+        'schedule.profileNoName': 'У профиля нет имени',
+        'schedule.alertsNotLists': 'alerts.rules и alerts.channels должны быть списками',
+        'alert.newErrors': 'Новые страницы с ошибками 4xx/5xx: {count}',
+        'alert.pageCountDrop': 'Страниц меньше на {drop}%: {before} → {after} (порог {percent}%)',
+        'alert.titleChanged': 'Изменился title ключевых страниц: {count}',
+        'alert.reportTitle': '🚨 {profile}: оповещений {count} после обхода {url}',
+        'alert.reportFinished': 'Обход завершен {time}, страниц: {pages}',
+        'alert.moreItems': '... и еще {count}',
+        'alert.emailSubject': '🚨 Краулер: {profile}, оповещений {count}',
+        'smtp.timeout': 'таймаут SMTP-сервера',
+        'smtp.closed': 'SMTP-сервер закрыл соединение',
+        'smtp.greeting': 'приветствие',
+        'smtp.noStartTls': '{host} не поддерживает STARTTLS: пароль без шифрования не отправляется (используйте smtps:// или insecure: true)',
+        'crawler.invalidUrl': 'Некорректный URL',
+        'crawler.linkedomMissing': 'Для разбора HTML в Node.js нужен пакет linkedom: npm install linkedom',
+        'crawler.tooManyRedirects': 'Слишком много редиректов ({count})',
+        'crawler.loginNeedsBrowser': 'Вход через форму выполняется только в headless-браузере (CLI с --login)',
+        'crawler.invalidUrlPattern': 'Некорректное правило URL {pattern}: {message}',
+        'crawler.unknownScope': 'Неизвестная область обхода: {scope}',
+        'transport.invalidTemplate': 'В шаблоне прокси нет {url} или {encodedUrl}: {template}',
+        'transport.localProxyStatus': 'Локальный прокси вернул HTTP {status}',
+        'transport.noTemplates': 'Не задан ни один шаблон прокси',
+        'transport.unknown': 'Неизвестный транспорт: {transport}',
+        'transport.timeout': 'Таймаут запроса',
+        'transport.allFailed': 'Все транспорты недоступны: {message}',
+        'auth.invalidJson': 'Некорректный JSON',
+        'auth.noCookieList': 'В JSON нет списка cookies',
+        'auth.cookieWithoutDomain': 'У cookie {name} нет domain, а URL сайта не задан',
+        'auth.cookieHeaderNeedsUrl': 'Для cookies в виде "name=value" нужен URL сайта',
+        'renderer.unknownBackend': 'Неизвестный движок рендеринга: {backend} (доступны: {allowed})',
+        'renderer.packageMissing': 'Для рендеринга JavaScript нужен пакет {name}: npm install {name}',
+        'renderer.noResponse': 'Браузер не получил ответ',
+        'renderer.loginFailed': 'После входа не появился {selector} - проверьте логин и пароль',
+        'extraction.noRules': 'В наборе правил нет списка rules',
+        'extraction.ruleNoName': 'У правила извлечения {label} нет имени',
+        'extraction.ruleDuplicate': 'Два правила извлечения с именем "{name}"',
+        'extraction.ruleUnknownType': 'Правило "{label}": неизвестный тип {type} (допустимы: {allowed})',
+        'extraction.ruleEmpty': 'Правило "{label}": пустое выражение',
+        'extraction.ruleInvalid': 'Правило "{label}": {message}',
+        'extraction.xpathMissing': 'Для XPath в Node.js нужен пакет xpath: npm install xpath',
+        'export.unknownColumn': 'Неизвестная колонка: {id} (доступны: {allowed})',
+        'diff.unknownFile': 'Файл не похож ни на JSON-экспорт результатов, ни на сохраненную сессию',
+        'proxy.invalidFlag': 'Неизвестный флаг или нет значения: {flag}',
+        'proxy.privateAddress': 'Адрес {host} ({address}) во внутренней сети: запустите прокси с --allow-private',
+        'proxy.invalidTarget': 'Параметр url должен быть адресом http(s)',
+        'proxy.invalidParams': 'Допустимы method=GET|HEAD и redirect=manual|follow',
+        'proxy.tooManyRedirects': 'Слишком много редиректов ({count})',
+        'proxy.siteUnavailable': 'Сайт недоступен: {message}',
+        'proxy.invalidPath': 'Некорректный адрес',
+        'proxy.usage': 'Используйте GET /fetch?url=...',
+        'proxy.tokenRequired': 'Прокси без токена доступен любой странице в браузере: задайте token',
+        'proxy.invalidToken': 'Неверный X-Proxy-Token',
+        'proxy.started': '🔌 Прокси краулера: {url}',
+        'proxy.generatedToken': '🔑 Токен (введите его в форме интерфейса): {token}',
+        'proxy.privateAllowed': '⚠️ Разрешены адреса localhost и локальной сети'
+    },
+
+    en: {
+        'crawler.start': '🚀 Starting the crawler...',
+        'crawler.target': '🎯 Target: {url}',
+        'crawler.limit': '📊 Limit: {maxPages} pages',
+        'crawler.depth': '📏 Depth: at most {maxDepth} clicks from the start page',
+        'crawler.robotsStartHostOnly': '⚠️ robots.txt is loaded for the start host only',
+        'crawler.resume': '♻️ Resuming session {sessionId}: {visited} processed, {queued} queued',
+        'crawler.renderEngine': '🧩 JavaScript rendering: {backend}',
+        'crawler.noRenderer': '⚠️ No rendering engine attached, pages are loaded without running JavaScript',
+        'crawler.error': '❌ Error: {message}',
+        'crawler.listenerError': '❌ Error in "{event}" event handler: {message}',
+        'crawler.robotsLoaded': '🤖 robots.txt loaded ({groups} rule groups)',
+        'crawler.crawlDelay': '🐢 Crawl-delay {seconds}s in robots.txt: delay raised to {delay}ms',
+        'crawler.robotsUnavailable': '🤖 robots.txt is not available, no restrictions',
+        'crawler.robotsServerError': '⛔ robots.txt could not be fetched ({reason}): per RFC 9309 the host is not crawled',
+        'crawler.throttleUp': '🐢 {host}: {reason}, delay raised to {delay}ms',
+        'crawler.throttleNoResponse': 'no response',
+        'crawler.throttleSlow': 'slow response {time}ms',
+        'crawler.throttleRecovered': '🐇 {host}: server is healthy again, delay back to {delay}ms',
+        'crawler.retryAfter': '⏳ {host}: HTTP {status}, Retry-After - pausing for {seconds}s',
+        'crawler.sitemapTotal': '🗺️ Sitemaps listed {pages} pages (files: {files})',
+        'crawler.sitemapUnavailable': '🗺️ Sitemap is not available: {url}',
+        'crawler.sitemapIndex': '🗺️ Sitemap index: {url} ({count} files)',
+        'crawler.sitemapLoaded': '🗺️ Sitemap: {url} ({count} URLs)',
+        'crawler.processing': '📄 Processing: {url}',
+        'crawler.redirect': '🔄 Redirect: {chain} → {finalUrl}',
+        'crawler.recovered': '✅ Loaded on attempt {attempt}: {url}',
+        'crawler.pageError': '❌ Error: {url} - {message}',
+        'crawler.pageErrorAttempts': '❌ Error: {url} - {message} (attempts: {attempts})',
+        'crawler.retryScheduled': '🔁 Retrying in {seconds}s (attempt {attempt} of {maxAttempts}): {url} - {message}',
+        'crawler.jsLinks': '🧩 JavaScript added {count} links on {url}',
+        'crawler.compareFailed': '⚠️ Could not compare links without rendering: {url} - {message}',
+        'crawler.auth': '🔐 Authentication: {type}',
+        'crawler.cookiesImported': '🍪 Cookies imported: {count}',
+        'crawler.cookiesBrowser': '⚠️ In the browser cookies are only sent through the local proxy',
+        'crawler.loginStart': '🔑 Logging in through the form: {url}',
+        'crawler.loginDone': '🔑 Logged in: {url}, cookies received: {count}',
+        'crawler.transportDisabled': '🔌 Transport {name} disabled for {seconds}s after {failures} failures in a row: {message}',
+        'crawler.nofollow': '🚫 meta robots nofollow: links on {url} are not followed',
+        'crawler.discovered': '🔍 New page found: {url}',
+        'crawler.externalCheck': '🌐 Checking external links: {count}',
+        'crawler.externalBroken': '🔗 Broken external link: {url} - {error}',
+        'crawler.skipped': '🚫 Skipped ({reason}): {url}',
+        'crawler.complete': '✅ Crawl finished!',
+        'crawler.summary': '📊 Summary:',
+        'crawler.summarySuccess': '   ✅ Crawled: {count} pages',
+        'crawler.summaryFailed': '   ❌ Errors: {count} pages',
+        'crawler.summaryDuplicates': '   🔄 Duplicates: {count}',
+        'crawler.summaryRetries': '   🔁 Retries: {retries}, recovered after a retry: {recovered}',
+        'crawler.stopped': '⏹️ Crawl stopped',
+        'crawler.checkpointFailed': '💾 Could not save the session: {message}',
+        'crawler.paused': '⏸️ Paused',
+        'crawler.resumed': '▶️ Resumed',
+
+        'skip.extension': 'extension {extension}',
+        'skip.depth': 'depth {depth} exceeds {maxDepth}',
+        'skip.depthUnknown': 'sitemap page with no links to it: depth is unknown and limited to {maxDepth}',
+        'skip.excluded': 'exclude rule {pattern}',
+        'skip.logout': 'logout link during an authenticated crawl',
+        'skip.notIncluded': 'does not match the include rules',
+
+        'plugin.extractionFailed': '🧲 Rule "{rule}" failed on {url}: {message}',
+        'plugin.archiveFailed': '🗄️ Could not archive the page: {message}',
+        'plugin.resourcesCheck': '🧱 Checking resources: {count}',
+        'plugin.resourcesSummary': '🧱 Resources: {checked} checked, {size}; oversized images {oversized}, uncompressed {uncompressed}, not cached {uncached}, mixed content {mixed}',
+        'plugin.accessibilitySummary': '♿ Accessibility: {checked} pages checked, {withIssues} with issues; {total} issues: {critical} critical, {serious} serious, {moderate} moderate, {minor} minor',
+        'cli.progress': '📈 {visited} processed | {queued} queued | {failed} errors | ~{remaining} left',
+        'cli.titleNotChecked': '⚠️ Title changes not checked: the previous run had no SEO audit',
+        'cli.noAlerts': '🔕 No alert conditions were met',
+        'cli.alert': '🚨 {message}',
+        'cli.alertFailed': '❌ Alert via {channel} was not sent: {error}',
+        'cli.alertSent': '📣 Alert sent: {channel}',
+        'cli.resultsSaved': '📥 Results saved: {path}',
+        'cli.diffSaved': '📥 Comparison saved: {path}',
+        'cli.resourcesSaved': '📥 Resource report saved: {path}',
+        'cli.accessibilitySaved': '📥 Accessibility report saved: {path}',
+        'cli.firstProfileRun': '📌 First run of this profile: results saved for future comparisons',
+        'cli.outputDirMissing': '❌ Folder for {path} does not exist: {dir}',
+        'cli.unexpectedError': '❌ Unexpected error: {message}',
+        'cli.diffSummary': '🆚 Compared with the previous crawl ({before} → {after} pages): +{added} new, -{removed} removed, {statusChanges} status changes, {brokenLinks} new broken links, {contentChanges} content changes',
+
+        'time.hours': '{h}h {m}m {s}s',
+        'time.minutes': '{m}m {s}s',
+        'time.seconds': '{s}s',
+        'time.calculating': 'calculating...',
+        'time.finishing': 'finishing...',
+        'size.bytes': '{value} B',
+        'size.kilobytes': '{value} KB',
+        'size.megabytes': '{value} MB',
+
+        'level.debug': 'Debug',
+        'level.info': 'Info',
+        'level.warning': 'Warning',
+        'level.error': 'Error',
+
+        'ui.subtitle': 'A full-featured tool for collecting every page of a website',
+        'ui.language': 'Language:',
+        'form.url': 'Website URL:',
+        'form.maxPages': 'Maximum pages:',
+        'form.delay': 'Delay (ms):',
+        'form.concurrency': 'Parallel downloads:',
+        'form.usePuppeteer': 'Run JavaScript when the profile runs from the CLI (Puppeteer or Playwright); the browser loads pages without rendering',
+        'form.respectRobots': 'Respect robots.txt and nofollow',
+        'form.useSitemaps': 'Load pages from sitemap.xml',
+        'form.checkExternalLinks': 'Check external links (HEAD)',
+        'form.seoAudit': 'SEO audit of pages',
+        'form.detectDuplicates': 'Find duplicate content',
+        'form.auditResources': 'Resource audit: weight, compression, caching',
+        'form.archivePages': 'Keep page text for search',
+        'form.archiveRawHtml': 'Keep the raw HTML too (for WARC)',
+        'form.auditAccessibility': 'Check accessibility (WCAG)',
+        'form.userAgent': 'User-agent for robots.txt:',
+        'form.transport': 'How to load pages:',
+        'form.transportLocalProxy': 'Local proxy (node proxy-server.js)',
+        'form.transportProxy': 'Custom proxy templates',
+        'form.transportDirect': 'Directly (CORS-enabled sites only)',
+        'form.localProxyUrl': 'Local proxy address:',
+        'form.localProxyToken': 'Local proxy token (printed by proxy-server.js on startup):',
+        'form.proxyTemplates': 'Proxy templates ({url} or {encodedUrl}, one per line):',
+        'form.requestTimeout': 'Request timeout (ms):',
+        'form.retries': 'Retries on network failure:',
+        'form.maxPageAttempts': 'Attempts per page on timeout, 429 or 5xx:',
+        'form.adaptiveThrottle': 'Slow down on server errors and slow responses',
+        'form.requestHeaders': 'Request headers (Name: value, one per line):',
+        'form.authType': 'Site authentication:',
+        'form.authNone': 'No authentication',
+        'form.authBasic': 'HTTP Basic (username and password)',
+        'form.authBearer': 'Bearer token',
+        'form.authUsername': 'Username:',
+        'form.authPassword': 'Password:',
+        'form.authToken': 'Token:',
+        'form.cookieImport': 'Cookies (cookies.txt, browser JSON or name=value; local proxy only):',
+        'form.useCookieJar': 'Keep site cookies between requests',
+        'form.scope': 'Crawl scope:',
+        'form.scopeHost': 'This host only',
+        'form.scopeSubdomains': 'Domain and all subdomains',
+        'form.scopePath': 'Start URL folder only',
+        'form.scopeHosts': 'This host and listed hosts',
+        'form.allowedHosts': 'Allowed hosts (comma-separated):',
+        'form.maxDepth': 'Maximum depth (0 - unlimited):',
+        'form.stripWww': 'Treat www.site and site as one host',
+        'form.stripTrailingSlash': 'Strip the trailing slash',
+        'form.sortQueryParams': 'Sort query parameters',
+        'form.lowercasePaths': 'Case-insensitive paths',
+        'form.indexFiles': 'Index files (/dir/index.html = /dir/):',
+        'form.ignoredParams': 'Drop parameters (glob or /regex/):',
+        'form.excludedExtensions': 'Do not load extensions:',
+        'form.includePatterns': 'Include only URLs (one rule per line):',
+        'form.excludePatterns': 'Exclude URLs (glob or /regular expression/):',
+
+        'extraction.title': '🧲 Data extraction',
+        'extraction.hint': 'CSS selector, XPath or a regular expression over the HTML. Attribute: empty - text, html - element markup, otherwise the attribute name.',
+        'extraction.add': '➕ Add rule',
+        'extraction.saveSet': '💾 Save rule set',
+        'extraction.loadSet': '📂 Load rule set',
+        'extraction.fieldName': 'Field name',
+        'extraction.attribute': 'Attribute (text)',
+        'extraction.multiple': 'all',
+        'extraction.urlPattern': 'Only URLs: /product/*',
+        'extraction.remove': 'Remove rule',
+
+        'profile.title': '⏰ Profile, schedule and alerts',
+        'profile.hint': 'A profile stores the URL and every form setting. The daemon runs it on schedule: node daemon.js <profiles folder>, or once with node cli.js --profile <file>. Passwords and tokens are not saved: they come from CRAWLER_PASSWORD, CRAWLER_TOKEN and SMTP_PASSWORD.',
+        'profile.name': 'Profile name:',
+        'profile.namePlaceholder': 'site host name',
+        'profile.schedule': 'Schedule (interval or cron):',
+        'profile.schedulePlaceholder': '6h or 0 3 * * 1-5',
+        'profile.alertNewErrors': 'Alert on new pages with 4xx/5xx errors',
+        'profile.alertPageDrop': 'Alert when the page count drops by, % (0 - off):',
+        'profile.alertTitlePages': 'Key pages: alert on title changes (one per line):',
+        'profile.alertWebhook': 'Webhook (Slack, Mattermost or your own):',
+        'profile.alertEmailTo': 'Recipient emails (comma-separated):',
+        'profile.alertSmtp': 'SMTP server:',
+        'profile.alertLogFile': 'Alert log file:',
+        'profile.save': '💾 Save profile',
+        'profile.load': '📂 Load profile',
+
+        'controls.start': '▶️ Start crawling',
+        'controls.stop': '⏹️ Stop',
+        'controls.pause': '⏸️ Pause',
+        'controls.resume': '▶️ Resume',
+
+        'sessions.title': '💾 Saved sessions',
+        'sessions.running': 'interrupted',
+        'sessions.stopped': 'stopped',
+        'sessions.completed': 'completed',
+        'sessions.progress': '{visited}/{maxPages} processed · {queued} queued · {failed} errors',
+        'sessions.resume': '♻️ Resume',
+        'sessions.compare': '🆚 Compare',
+        'sessions.delete': '🗑️ Delete',
+
+        'log.title': 'Activity log:',
+        'log.levelAll': 'All entries',
+        'log.levelInfo': 'Info and above',
+        'log.levelWarning': 'Warnings and errors',
+        'log.levelError': 'Errors only',
+        'log.search': 'Search the log',
+        'log.export': '📥 Download log',
+        'log.shown': 'Showing {shown} of {total}',
+
+        'progress.summary': '{visited} processed | {queued} queued | {failed} errors | {processed} total',
+        'progress.elapsed': 'Elapsed',
+        'progress.remaining': 'Remaining',
+        'progress.average': 'Average per page',
+        'progress.speed': '⚡ Speed: ~{speed} pages/min',
+        'progress.eta': '⏱️ Done in {time}',
+        'progress.success': 'Crawled',
+        'progress.queued': 'Queued',
+        'progress.errors': 'Errors',
+        'progress.duplicates': 'Duplicates',
+
+        'results.title': '✅ Crawl finished!',
+        'results.crawled': '✅ <strong>Pages crawled:</strong> {count}',
+        'results.failed': '❌ <strong>Errors:</strong> {count} pages',
+        'results.duplicates': '🔄 <strong>Duplicates found:</strong> {count}',
+        'results.external': '🌐 <strong>External links:</strong> {count}',
+        'results.skipped': '🚫 <strong>Skipped by rules:</strong> {count}',
+        'results.redirects': '↪️ <strong>Redirects:</strong> {count}',
+        'results.retries': '🔁 <strong>Retried loads:</strong> {retries}, pages recovered: {recovered}',
+        'results.brokenLinks': '🔗 <strong>Broken links:</strong> {count}',
+        'results.archive': '🗄️ <strong>Archived:</strong> {count} pages',
+        'results.archiveRawHtml': '🗄️ <strong>Archived:</strong> {count} pages with HTML',
+        'results.duplicateGroups': '🧬 <strong>Duplicate groups:</strong> {exact} exact, {near} similar',
+        'results.statusCodes': '📶 <strong>Status codes:</strong> {codes}',
+        'results.sitemapPages': '🗺️ <strong>Pages in sitemap:</strong> {count}',
+        'results.orphans': '🏝️ <strong>Orphans (in sitemap, not linked):</strong> {count}',
+        'results.missingFromSitemap': '❓ <strong>Missing from sitemap:</strong> {count}',
+        'results.accessibility': '♿ <strong>Accessibility issues:</strong> {count} on {pages} pages',
+        'results.exportCsv': '📥 Download CSV',
+        'results.exportXlsx': '📗 Download Excel',
+        'results.exportJson': '📊 Download JSON',
+        'results.exportTxt': '📄 Download TXT',
+        'results.exportSitemap': '🗺️ Download sitemap.xml',
+        'results.exportHar': '🧾 HAR request log',
+        'results.exportWarc': '🗄️ WARC archive',
+        'results.viewList': '👁️ View list',
+        'results.viewBrokenLinks': '🔗 Broken links',
+        'results.exportBrokenLinks': '📥 Broken links CSV',
+        'results.viewSeo': '🔎 SEO audit',
+        'results.viewSitemap': '🗺️ Sitemap report',
+        'results.viewDuplicates': '🧬 Duplicates',
+        'results.viewResources': '🧱 Resources',
+        'results.viewAccessibility': '♿ Accessibility',
+        'results.viewExtraction': '🧲 Extracted data',
+        'results.viewUrlTree': '🌳 URL tree',
+        'results.viewLinkGraph': '🕸️ Link graph',
+        'results.compare': '🆚 Compare with a previous crawl',
+        'results.archiveQuery': 'Search page text: words or "exact phrase"',
+        'results.archiveSearch': '🔍 Search',
+        'results.columns': 'CSV and Excel columns',
+        'results.pagesFound': 'Pages found:',
+
+        'report.notFound': 'None found',
+        'report.none': 'None',
+        'report.noData': 'No data',
+        'report.searchHeading': '🔍 “{query}”: {count} pages',
+        'report.searchEmpty': 'Nothing found',
+        'report.searchMatches': 'matches: {count}',
+        'report.noBrokenLinks': 'No broken links found 🎉',
+        'report.externalLink': 'external',
+        'report.seoIssues': '🔎 Site-wide issues',
+        'report.seoNoIssues': 'No issues found 🎉',
+        'report.seoDuplicateTitles': '📑 Duplicate titles',
+        'report.seoDuplicateDescriptions': '📝 Duplicate descriptions',
+        'report.seoPages': '📄 Pages with issues',
+        'report.columnWords': 'Words',
+        'report.columnIssues': 'Issues',
+        'report.columnResource': 'Resource',
+        'report.columnType': 'Type',
+        'report.columnPages': 'Pages',
+        'report.columnDetails': 'Details',
+        'report.columnWeight': 'Weight',
+        'report.columnAssets': 'Resources',
+        'report.columnTiming': 'TTFB / download, ms',
+        'report.columnHttpsPage': 'HTTPS page',
+        'report.columnHttpResource': 'HTTP resource',
+        'report.resourcesSummary': '🧱 Resources: {checked} of {total}, {size} in total;',
+        'report.unknownSize': '+{count} of unknown size',
+        'report.heaviestPages': '🏋️ Heaviest pages',
+        'report.oversizedImages': '🖼️ Images over {size}',
+        'report.uncompressed': '🗜️ Not compressed',
+        'report.uncached': '⏳ Not cached',
+        'report.noCacheHeaders': 'no Cache-Control or Expires',
+        'report.failedAssets': '❌ Unavailable resources',
+        'report.mixedContent': '🔓 Mixed content ({count})',
+        'report.a11ySummary': '♿ Pages checked: {checked}, with issues: {withIssues}, total issues: {total}',
+        'report.a11yIssues': '♿ Site-wide issues',
+        'report.a11yNoIssues': 'No issues found 🎉',
+        'report.a11yPages': '📄 Pages with issues',
+        'report.a11yPageCount': 'issues: {count}',
+        'report.a11yMore': 'and {count} more - the report keeps the first {limit} issues of a kind per page',
+        'report.columnSeverity': 'Severity',
+        'report.columnIssue': 'Issue',
+        'report.columnOccurrences': 'Total',
+        'report.extractionHeading': '🧲 Extracted data ({count} pages)',
+        'report.extractionEmpty': 'No rule matched',
+        'report.exactDuplicates': '🧬 Identical content',
+        'report.exactCluster': '{count} URLs, hash {hash}',
+        'report.nearDuplicates': '🪞 Nearly identical text',
+        'report.nearCluster': '{count} URLs, {percent}% similar',
+        'report.canonicalDuplicates': '🏷️ Shared rel=canonical',
+        'report.graphEmpty': 'No crawled pages',
+        'report.graphDepthRings': 'Depth rings',
+        'report.graphRedirect': 'redirect',
+        'report.graphError': 'error',
+        'report.graphSize': '· size - number of inbound links',
+        'report.graphHint': 'Click a node to see the page; nodes can be dragged',
+        'report.graphNode': 'depth {depth} · inbound {inbound} · outbound {outbound}',
+        'report.diffContent': 'Content',
+        'report.diffExportCsv': '📥 Comparison CSV',
+        'report.diffExportJson': '📥 Comparison JSON',
+        'report.diffTotals': 'Pages before: {before}, now: {after}',
+        'report.diffNotCompared': 'Not compared (audit was off in one of the crawls): {fields}',
+        'report.diffNewPages': '🆕 New pages',
+        'report.diffRemovedPages': '🕳️ Removed pages',
+        'report.diffStatusChanges': '📶 Status code changed',
+        'report.diffNewBrokenLinks': '🔗 New broken links',
+        'report.diffBrokenLinkSources': '{error} · links: {count}',
+        'report.diffFixedBrokenLinks': '✅ Fixed broken links',
+        'report.diffContentChanges': '✏️ Content changed',
+        'report.sitemapOrphans': '🏝️ In sitemap, but not linked',
+        'report.sitemapMissing': '❓ Linked, but missing from sitemap',
+
+        'seo.title_missing': 'No <title> tag',
+        'seo.title_too_long': 'Title is too long',
+        'seo.title_duplicate': 'Title is used on other pages',
+        'seo.description_missing': 'No meta description',
+        'seo.description_too_long': 'Meta description is too long',
+        'seo.description_duplicate': 'Description is used on other pages',
+        'seo.h1_missing': 'No h1 heading',
+        'seo.h1_multiple': 'Several h1 headings',
+        'seo.canonical_mismatch': 'Canonical points to another URL',
+        'seo.canonical_broken': 'Canonical points to an unavailable page',
+        'seo.images_missing_alt': 'Images without alt',
+
+        'a11y.image_missing_alt': 'Image without alt',
+        'a11y.input_missing_label': 'Form field without a label',
+        'a11y.empty_button': 'Button without text',
+        'a11y.empty_link': 'Link without text',
+        'a11y.html_missing_lang': 'No lang attribute on <html>',
+        'a11y.heading_level_skipped': 'Heading level skipped',
+        'a11y.duplicate_id': 'Duplicate id',
+        'a11y.main_landmark_missing': 'No main landmark',
+        'a11y.landmark_missing': 'Missing landmarks',
+        'severity.critical': 'critical',
+        'severity.serious': 'serious',
+        'severity.moderate': 'moderate',
+        'severity.minor': 'minor',
+
+        'app.enterUrl': 'Enter the website URL',
+        'app.cookiesFailed': 'Could not parse cookies: {message}',
+        'app.rulesLoaded': '🧲 Extraction rules loaded: {count}',
+        'app.rulesFailed': 'Could not load rules from {file}: {message}',
+        'app.profileNotSaved': 'Profile not saved: {message}',
+        'app.profileLoaded': '⏰ Profile {name} loaded, schedule: {schedule}',
+        'app.profileFailed': 'Could not load the profile from {file}: {message}',
+        'app.sessionsFailed': '💾 Could not read saved sessions: {message}',
+        'app.sessionNotFound': 'Session not found',
+        'app.archiveDeleteFailed': '🗄️ Could not delete the archive: {message}',
+        'app.error': '❌ {message}',
+        'app.selectColumn': 'Select at least one column to export',
+        'app.warcFailed': 'Could not build the WARC file: {message}',
+        'app.searchFailed': 'Search failed: {message}',
+        'app.fileDownloaded': '📥 Downloaded {file}',
+        'app.pngFailed': 'Could not convert SVG to PNG',
+        'app.diffSummary': '🆚 Compared with the previous crawl: +{added} new, -{removed} removed pages',
+        'app.compareFailed': 'Could not compare with {file}: {message}',
+        'help.cli.usage': 'Usage: node cli.js <url> [options]\n       node cli.js --resume <id|latest> [options]\n       node cli.js --profile <profile.json> [options]',
+        'help.cli.maxPages': 'Maximum number of pages (default 500)',
+        'help.cli.delay': 'Delay between requests to a host, ms (default 200)',
+        'help.cli.concurrency': 'Parallel downloads (default 4)',
+        'help.cli.requestTimeout': 'Request timeout, ms (default 30000)',
+        'help.cli.transport': 'Transport: direct, proxy, local-proxy (default direct)',
+        'help.cli.proxyTemplates': 'Proxy template with {url} or {encodedUrl} (repeatable, enables --transport proxy)',
+        'help.cli.localProxyUrl': 'proxy-server.js address (enables --transport local-proxy)',
+        'help.cli.localProxyToken': 'proxy-server.js token: from its --token or printed on its startup',
+        'help.cli.retries': 'Retries on network failures (default 2)',
+        'help.cli.retryBaseDelay': 'Delay before the first retry, ms, doubled after that (default 500)',
+        'help.cli.maxPageAttempts': 'Attempts to load a page on timeouts, 429 or 5xx (default 3)',
+        'help.cli.pageRetryDelay': 'Pause before reloading a page, ms, doubled after that (default 5000)',
+        'help.cli.maxAdaptiveDelay': 'Upper limit of the adaptive delay on server errors, ms (default 10000)',
+        'help.cli.adaptiveThrottle': 'Do not slow down on server errors and slow responses',
+        'help.cli.headers': 'Request header "Name: value" (repeatable)',
+        'help.cli.user': 'Basic auth "login:password" or "login" with the password from CRAWLER_PASSWORD',
+        'help.cli.bearer': 'Bearer token; "-" reads it from CRAWLER_TOKEN',
+        'help.cli.cookiesFile': 'Cookies file: cookies.txt (Netscape), JSON from a browser or a "name=value; ..." string',
+        'help.cli.cookie': 'Cookie "name=value" for the start host (repeatable)',
+        'help.cli.useCookieJar': 'Do not keep Set-Cookie between requests',
+        'help.cli.loginFile': 'Form login before the crawl: JSON { url, fields: { selector: value | "env:NAME" }, submit, waitFor }',
+        'help.cli.usePuppeteer': 'Run JavaScript in a headless browser',
+        'help.cli.renderBackend': 'Engine for --js: puppeteer or playwright (default puppeteer)',
+        'help.cli.renderWaitUntil': 'When a page is ready: load, domcontentloaded, networkidle (default networkidle)',
+        'help.cli.renderWaitForSelector': 'Wait for a CSS selector to appear',
+        'help.cli.compareRenderedLinks': 'Compare links with the version without JavaScript',
+        'help.cli.respectRobots': 'Ignore robots.txt and nofollow',
+        'help.cli.userAgent': 'User-agent for robots.txt',
+        'help.cli.useSitemaps': 'Load pages from sitemap.xml',
+        'help.cli.checkExternalLinks': 'Check external links',
+        'help.cli.seoAudit': 'SEO audit of pages',
+        'help.cli.auditResources': 'Check images, styles and scripts: weight, compression, caching, mixed content',
+        'help.cli.resourceRequestMethod': 'Resource requests: HEAD or GET (default HEAD)',
+        'help.cli.resourcesOutput': 'CSV with every checked resource (enables --audit-resources)',
+        'help.cli.auditAccessibility': 'Check accessibility (WCAG): alt, field labels, lang, headings, empty links and buttons, ids, landmarks',
+        'help.cli.accessibilityOutput': 'CSV with accessibility issues per page (enables --audit-accessibility)',
+        'help.cli.detectDuplicates': 'Do not look for duplicate content',
+        'help.cli.archivePages': 'Save page text to --archive-dir (needed for --format warc)',
+        'help.cli.archiveRawHtml': 'Also save the raw HTML to the archive',
+        'help.cli.archiveDir': 'Page archive folder (default archive inside --state-dir)',
+        'help.cli.rules': 'Data extraction rules file (JSON, saved from the interface)',
+        'help.cli.scope': 'Crawl scope: host, subdomains, path (start URL folder: /docs means /docs/), hosts (default host)',
+        'help.cli.allowedHosts': 'Comma-separated hosts for --scope hosts (*.example.com includes subdomains)',
+        'help.cli.maxDepth': 'Depth in clicks from the start page (0 means unlimited)',
+        'help.cli.includePatterns': 'Crawl only matching URLs: glob or /regex/ (repeatable)',
+        'help.cli.excludePatterns': 'Exclude URLs: glob or /regex/ (repeatable, replaces the default list)',
+        'help.cli.stripWww': 'Treat www.site and site as different hosts',
+        'help.cli.stripTrailingSlash': 'Keep the trailing slash of paths',
+        'help.cli.sortQueryParams': 'Do not sort query parameters',
+        'help.cli.lowercasePaths': 'Case-insensitive paths',
+        'help.cli.indexFiles': 'Comma-separated index files (default index.html,index.htm,index.php)',
+        'help.cli.ignoredParams': 'Comma-separated parameters to drop (default utm_*,fbclid,gclid,msclkid,yclid,trk_*)',
+        'help.cli.excludedExtensions': 'Comma-separated extensions not to download (default .pdf,.jpg,.jpeg,.png,.gif,.zip)',
+        'help.cli.output': 'Results file (default stdout)',
+        'help.cli.format': 'Format: json, csv, xlsx, txt, sitemap, har, warc, graphml, gexf (default from the --output extension or json)',
+        'help.cli.columns': 'Comma-separated CSV and XLSX columns: {columns},extract:<rule>',
+        'help.cli.compare': 'Compare with a previous crawl: JSON export, session file, session id or latest',
+        'help.cli.diffOutput': 'Comparison file: .csv or .json (default: summary in the log only)',
+        'help.cli.profile': 'Crawl profile (JSON): URL, settings and alerts; flags override profile settings',
+        'help.cli.stateDir': 'Folder with results of previous profile runs and the page archive (default .crawler-state)',
+        'help.cli.maxFailures': 'Failure threshold: a number or a percentage (e.g. 5%)',
+        'help.cli.sessionDir': 'Save the session to a folder so it can be resumed (default .crawler-sessions)',
+        'help.cli.resume': 'Resume a session: id or latest',
+        'help.cli.listSessions': 'List saved sessions',
+        'help.cli.deleteSession': 'Delete a saved session',
+        'help.cli.quiet': 'Log errors only (same as --log-level error)',
+        'help.cli.logLevel': 'Lowest log level to show: debug, info, warning, error (default debug)',
+        'help.cli.lang': 'Log language: ru or en (default CRAWLER_LANG or ru)',
+        'help.cli.help': 'Show this help',
+        'cli.unknownFlag': 'Unknown flag: {flag}',
+        'cli.flagNeedsValue': 'Flag {flag} needs a value',
+        'cli.flagNeedsNumber': 'Flag {flag} needs a non-negative number',
+        'cli.noSessions': 'No saved sessions',
+        'cli.envMissing': 'Environment variable {name} for {label} is not set',
+        'cli.envLabelField': 'field {selector}',
+        'cli.envLabelPassword': 'the password',
+        'cli.envLabelToken': 'the token',
+        'cli.envLabelChannel': 'the {type} channel',
+        'cli.passwordEnvMissing': 'Set the CRAWLER_PASSWORD environment variable for --user without a password',
+        'cli.tokenEnvMissing': 'The CRAWLER_TOKEN environment variable is not set',
+        'cli.loginUrlMissing': '{file} has no login page url',
+        'cli.error': '❌ {message}',
+        'cli.multipleFiles': '❌ The result consists of {count} files - specify --output',
+        'cli.invalidLang': '❌ --lang: {allowed}, not {value}',
+        'cli.invalidLogLevel': '❌ --log-level: {allowed}, not {value}',
+        'cli.profileFailed': '❌ Profile {file}: {message}',
+        'cli.invalidResourceMethod': '❌ --resource-method: HEAD or GET, not {value}',
+        'cli.sessionDeleted': '🗑️ Session deleted: {id}',
+        'cli.sessionNotFound': '❌ Session not found: {id}',
+        'cli.unknownFormat': '❌ Unknown format: {format}',
+        'cli.previousNotFound': '❌ Previous crawl not found: {value}',
+        'cli.previousFailed': '❌ Could not read the previous crawl: {message}',
+        'cli.authFailed': '❌ Invalid authentication options: {message}',
+        'cli.rulesFailed': '❌ Could not read extraction rules {file}: {message}',
+        'cli.unknownColumn': '❌ Unknown column: {column}',
+        'cli.invalidMaxFailures': '❌ Invalid failure threshold: {value}',
+        'cli.invalidHeader': '❌ A header is given as "Name: value"',
+        'cli.warcNeedsArchive': '❌ --format warc needs the page archive: add --archive',
+        'cli.tooManyFailures': '❌ Failures exceed the threshold: {count} (threshold {threshold})',
+        'help.daemon.usage': 'Usage: node daemon.js <profile.json | profiles folder>... [options]',
+        'help.daemon.stateDir': 'Folder with results of previous runs (default .crawler-state)',
+        'help.daemon.list': 'List profiles with their next run time and exit',
+        'help.daemon.verbose': 'Full crawl log (default: errors only)',
+        'help.daemon.lang': 'Log language of the daemon and its crawls: ru or en (default CRAWLER_LANG or ru)',
+        'help.daemon.help': 'Show this help',
+        'daemon.duplicateName': 'name {name} is already used by another profile',
+        'daemon.profileError': '❌ Profile {file}: {message}',
+        'daemon.noProfiles': 'No profiles',
+        'daemon.started': '⏰ Daemon started: {count} profiles, state in {stateDir}',
+        'daemon.profileSchedule': '   {name}: {schedule}, next run {next}',
+        'daemon.notScheduled': 'not scheduled',
+        'daemon.run': '▶️ {name}: crawling {url}',
+        'daemon.finished': '{icon} {name}: exit code {code}, {duration} s',
+        'daemon.stopping': '⏹️ Stopping: waiting for running crawls ({count})',
+        'daemon.pathNotFound': '❌ Profile or folder not found: {path}',
+        'schedule.manual': 'manual',
+        'schedule.interval': 'every {interval}',
+        'schedule.cron': 'cron {cron}',
+        'schedule.field.minute': 'minute',
+        'schedule.field.hour': 'hour',
+        'schedule.field.day': 'day of month',
+        'schedule.field.month': 'month',
+        'schedule.field.weekday': 'day of week',
+        'schedule.invalidInterval': 'Invalid interval "{text}": expected a number with unit m, h or d (e.g. 30m, 6h, 1d)',
+        'schedule.invalidValue': 'field "{field}": invalid value {value}',
+        'schedule.invalidStep': 'field "{field}": invalid step in {part}',
+        'schedule.reversedRange': 'field "{field}": reversed range {range}',
+        'schedule.cronFieldCount': 'Cron expression "{expression}": expected 5 fields (minute hour day month weekday)',
+        'schedule.cronInvalid': 'Cron expression "{expression}": {message}',
+        'schedule.cronNever': 'Cron expression "{expression}" never fires',
+        'schedule.bothKinds': 'A schedule needs exactly one of interval or cron',
+        'schedule.noKind': 'The schedule has neither interval nor cron',
+        'schedule.ruleLabel': 'Alert rule #{index}',
+        'schedule.channelLabel': 'Alert channel #{index}',
+        'schedule.unknownType': '{label}: unknown type {type} (allowed: {allowed})',
+        'schedule.invalidPercent': '{label}: percent must be between 1 and 100',
+        'schedule.invalidPages': '{label}: pages must be a list of URLs or patterns',
+        'schedule.missingField': '{label}: {field} is missing',
+        'schedule.missingSmtp': '{label}: smtp server is missing (smtp://user@host:587)',
+        'schedule.missingRecipient': '{label}: recipient to is missing',
+        'schedule.profileNotObject': 'A profile must be a JSON object',
+        'schedule.profileNoStartUrl': 'The profile has no startUrl',
+        'schedule.profileInvalidStartUrl': 'Invalid startUrl: {url}',
+        'schedule.profileNoName': 'The profile has no name',
+        'schedule.alertsNotLists': 'alerts.rules and alerts.channels must be lists',
+        'alert.newErrors': 'New pages with 4xx/5xx errors: {count}',
+        'alert.pageCountDrop': 'Page count dropped by {drop}%: {before} → {after} (threshold {percent}%)',
+        'alert.titleChanged': 'Title changed on key pages: {count}',
+        'alert.reportTitle': '🚨 {profile}: {count} alerts after crawling {url}',
+        'alert.reportFinished': 'Crawl finished {time}, pages: {pages}',
+        'alert.moreItems': '... and {count} more',
+        'alert.emailSubject': '🚨 Crawler: {profile}, {count} alerts',
+        'smtp.timeout': 'SMTP server timeout',
+        'smtp.closed': 'SMTP server closed the connection',
+        'smtp.greeting': 'greeting',
+        'smtp.noStartTls': '{host} does not support STARTTLS: the password is not sent unencrypted (use smtps:// or insecure: true)',
+        'crawler.invalidUrl': 'Invalid URL',
+        'crawler.linkedomMissing': 'Parsing HTML in Node.js needs the linkedom package: npm install linkedom',
+        'crawler.tooManyRedirects': 'Too many redirects ({count})',
+        'crawler.loginNeedsBrowser': 'Form login works only in a headless browser (CLI with --login)',
+        'crawler.invalidUrlPattern': 'Invalid URL rule {pattern}: {message}',
+        'crawler.unknownScope': 'Unknown crawl scope: {scope}',
+        'transport.invalidTemplate': 'The proxy template has no {url} or {encodedUrl}: {template}',
+        'transport.localProxyStatus': 'The local proxy returned HTTP {status}',
+        'transport.noTemplates': 'No proxy template is set',
+        'transport.unknown': 'Unknown transport: {transport}',
+        'transport.timeout': 'Request timed out',
+        'transport.allFailed': 'All transports are unavailable: {message}',
+        'auth.invalidJson': 'Invalid JSON',
+        'auth.noCookieList': 'The JSON has no cookie list',
+        'auth.cookieWithoutDomain': 'Cookie {name} has no domain and no site URL is set',
+        'auth.cookieHeaderNeedsUrl': 'Cookies given as "name=value" need the site URL',
+        'renderer.unknownBackend': 'Unknown rendering engine: {backend} (available: {allowed})',
+        'renderer.packageMissing': 'JavaScript rendering needs the {name} package: npm install {name}',
+        'renderer.noResponse': 'The browser got no response',
+        'renderer.loginFailed': '{selector} did not appear after login - check the username and password',
+        'extraction.noRules': 'The rule set has no rules list',
+        'extraction.ruleNoName': 'Extraction rule {label} has no name',
+        'extraction.ruleDuplicate': 'Two extraction rules are named "{name}"',
+        'extraction.ruleUnknownType': 'Rule "{label}": unknown type {type} (allowed: {allowed})',
+        'extraction.ruleEmpty': 'Rule "{label}": empty expression',
+        'extraction.ruleInvalid': 'Rule "{label}": {message}',
+        'extraction.xpathMissing': 'XPath in Node.js needs the xpath package: npm install xpath',
+        'export.unknownColumn': 'Unknown column: {id} (available: {allowed})',
+        'diff.unknownFile': 'The file is neither a JSON results export nor a saved session',
+        'proxy.invalidFlag': 'Unknown flag or missing value: {flag}',
+        'proxy.privateAddress': 'Address {host} ({address}) is on an internal network: start the proxy with --allow-private',
+        'proxy.invalidTarget': 'The url parameter must be an http(s) address',
+        'proxy.invalidParams': 'Allowed: method=GET|HEAD and redirect=manual|follow',
+        'proxy.tooManyRedirects': 'Too many redirects ({count})',
+        'proxy.siteUnavailable': 'Site unavailable: {message}',
+        'proxy.invalidPath': 'Invalid address',
+        'proxy.usage': 'Use GET /fetch?url=...',
+        'proxy.tokenRequired': 'Without a token the proxy is open to any page in the browser: set token',
+        'proxy.invalidToken': 'Invalid X-Proxy-Token',
+        'proxy.started': '🔌 Crawler proxy: {url}',
+        'proxy.generatedToken': '🔑 Token (enter it in the UI form): {token}',
+        'proxy.privateAllowed': '⚠️ localhost and local network addresses are allowed'
+    }
+};
+
+let currentLocale = DEFAULT_LOCALE;
+
+function getLocale() {
+    return currentLocale;
+}
+
+function setLocale(locale) {
+    if (!MESSAGES[locale]) {
+        throw new Error(`Неизвестный язык: ${locale} (доступны: ${Object.keys(MESSAGES).join(', ')})`);
+    }
+    currentLocale = locale;
+}
+
+// "en-US", "ru_RU.UTF-8" → поддерживаемый язык или null
+function normalizeLocale(value) {
+    const language = String(value || '').toLowerCase().split(/[-_.]/)[0];
+    return MESSAGES[language] ? language : null;
+}
+
+// Язык для cli.js, daemon.js и proxy-server.js: --lang, затем переменная CRAWLER_LANG, затем язык по умолчанию.
+// Выбирается до разбора остальных флагов, чтобы и ошибки в них выводились на нем
+function resolveCliLocale(argv, envValue) {
+    const index = argv.indexOf('--lang');
+    const requested = (index >= 0 && argv[index + 1]) || envValue || DEFAULT_LOCALE;
+    const locale = normalizeLocale(requested);
+    if (!locale) {
+        throw new Error(t('cli.invalidLang', { allowed: Object.keys(LOCALE_NAMES).join(', '), value: requested }));
+    }
+    return locale;
+}
+
+function hasMessage(key) {
+    return Object.prototype.hasOwnProperty.call(MESSAGES[DEFAULT_LOCALE], key);
+}
+
+// Нет перевода - русский текст, нет и его - сам ключ. Неизвестные {параметры} остаются как есть
+function t(key, params = {}) {
+    const template = MESSAGES[currentLocale][key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        (params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder));
+}
+
+function formatDuration(milliseconds) {
+    const seconds = Math.floor(milliseconds / 1000);
+    const minutes = Math.floor(seconds / 60);
+    const hours = Math.floor(minutes / 60);
+
+    if (hours > 0) return t('time.hours', { h: hours, m: minutes % 60, s: seconds % 60 });
+    if (minutes > 0) return t('time.minutes', { m: minutes, s: seconds % 60 });
+    return t('time.seconds', { s: seconds });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { t, setLocale, getLocale, normalizeLocale, resolveCliLocale, hasMessage, formatDuration, MESSAGES, LOCALE_NAMES, DEFAULT_LOCALE };
+}
@@ -0,0 +1,230 @@
+// Отправка оповещений по профилям обхода (Node.js): webhook, письмо через SMTP, запись в файл журнала.
+// Каналы описаны в scheduler.js; значения "env:ИМЯ" к этому моменту уже заменены в cli.js.
+// SMTP-клиент минимальный и без зависимостей: STARTTLS или сразу TLS (smtps://), AUTH PLAIN, одно письмо.
+// Без TLS пароль не отправляется, если канал явно не разрешает это (insecure: true).
+
+const ALERT_ITEMS_LIMIT = 20;
+
+// Тексты писем и ошибок - на языке, выбранном в cli.js (--lang)
+function translate(key, params) {
+    return require('./i18n.js').t(key, params);
+}
+
+function formatAlertItem(item) {
+    const change = item.after !== undefined ? `: ${item.before ?? '-'} → ${item.after ?? '-'}` : '';
+    return `   ${item.url}${change}`;
+}
+
+// report: { profile, startUrl, finishedAt, totalPages, alerts }
+function formatAlertReport(report) {
+    const lines = [
+        translate('alert.reportTitle', { profile: report.profile, count: report.alerts.length, url: report.startUrl }),
+        translate('alert.reportFinished', { time: new Date(report.finishedAt).toLocaleString(), pages: report.totalPages })
+    ];
+
+    report.alerts.forEach(alert => {
+        lines.push('', `• ${alert.message}`);
+        alert.items.slice(0, ALERT_ITEMS_LIMIT).forEach(item => lines.push(formatAlertItem(item)));
+        if (alert.items.length > ALERT_ITEMS_LIMIT) {
+            lines.push(`   ${translate('alert.moreItems', { count: alert.items.length - ALERT_ITEMS_LIMIT })}`);
+        }
+    });
+
+    return lines.join('\n');
+}
+
+// Поле text понимают Slack, Mattermost и Rocket.Chat; остальное - для своих обработчиков
+async function sendWebhook(channel, report) {
+    const response = await fetch(channel.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(channel.headers || {}) },
+        body: JSON.stringify({ text: formatAlertReport(report), ...report }),
+        signal: AbortSignal.timeout(channel.timeout || 15000)
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+}
+
+async function appendToLog(channel, report) {
+    const fs = require('fs');
+    await fs.promises.appendFile(channel.path, `[${new Date(report.finishedAt).toISOString()}]\n${formatAlertReport(report)}\n\n`);
+}
+
+// Ответы SMTP читаются по одному: многострочный ответ заканчивается строкой "250 ..." без дефиса
+class SmtpConnection {
+    constructor(socket, timeout) {
+        this.timeout = timeout;
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        this.buffer = '';
+        this.error = null;
+        socket.setEncoding('utf8');
+        socket.setTimeout(this.timeout, () => socket.destroy(new Error(translate('smtp.timeout'))));
+        socket.on('data', chunk => {
+            this.buffer += chunk;
+            this.flush();
+        });
+        socket.on('error', error => this.fail(error));
+        socket.on('close', () => this.fail(new Error(translate('smtp.closed'))));
+    }
+
+    fail(error) {
+        this.error = this.error || error;
+        if (this.waiting) {
+            const { reject } = this.waiting;
+            this.waiting = null;
+            reject(this.error);
+        }
+    }
+
+    flush() {
+        if (!this.waiting) return;
+        const lines = this.buffer.split('\r\n');
+        const last = lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+        if (last === -1) return;
+
+        this.buffer = lines.slice(last + 1).join('\r\n');
+        const { resolve } = this.waiting;
+        this.waiting = null;
+        resolve({ code: parseInt(lines[last]), lines: lines.slice(0, last + 1) });
+    }
+
+    read() {
+        return new Promise((resolve, reject) => {
+            if (this.error) {
+                reject(this.error);
+                return;
+            }
+            this.waiting = { resolve, reject };
+            this.flush();
+        });
+    }
+
+    // expected - допустимые коды ответа
+    async command(line, expected) {
+        if (line !== null) {
+            this.socket.write(`${line}\r\n`);
+        }
+        const response = await this.read();
+        if (!expected.includes(response.code)) {
+            // AUTH с паролем в журнал не попадает
+            const sent = line && line.startsWith('AUTH') ? 'AUTH' : line;
+            throw new Error(`SMTP ${sent || translate('smtp.greeting')}: ${response.lines.join(' ')}`);
+        }
+        return response;
+    }
+
+    // После STARTTLS то же соединение продолжается поверх TLS
+    async upgrade(host) {
+        const tls = require('tls');
+        this.socket.removeAllListeners('data');
+        this.socket.removeAllListeners('close');
+        this.socket.setTimeout(0);
+
+        const secure = tls.connect({ socket: this.socket, servername: host });
+        await new Promise((resolve, reject) => {
+            secure.once('secureConnect', resolve);
+            secure.once('error', reject);
+        });
+        this.attach(secure);
+    }
+}
+
+function encodeHeader(text) {
+    return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+}
+
+function buildEmail({ from, to, subject, text }) {
+    const body = Buffer.from(text).toString('base64').replace(/.{76}/g, '$&\r\n');
+    return [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body
+    ].join('\r\n');
+}
+
+// channel.smtp: smtp://логин@хост:587 (STARTTLS, если сервер умеет) или smtps://логин@хост:465;
+// channel.insecure: true - авторизоваться и без шифрования (только для доверенной локальной сети)
+async function sendEmail(channel, report) {
+    const net = require('net');
+    const tls = require('tls');
+    const server = new URL(channel.smtp);
+    const implicitTls = server.protocol === 'smtps:';
+    const host = server.hostname;
+    const port = parseInt(server.port) || (implicitTls ? 465 : 587);
+    const username = decodeURIComponent(server.username);
+    const password = channel.password ?? decodeURIComponent(server.password);
+    const to = Array.isArray(channel.to) ? channel.to : [channel.to];
+    const from = channel.from || (username.includes('@') ? username : `crawler@${host}`);
+
+    const socket = implicitTls ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+    const connection = new SmtpConnection(socket, channel.timeout || 30000);
+
+    try {
+        await connection.command(null, [220]);
+        const hello = await connection.command('EHLO professional-web-crawler', [250]);
+
+        let encrypted = implicitTls;
+        if (!implicitTls && hello.lines.some(line => /^\d{3}[ -]STARTTLS/i.test(line))) {
+            await connection.command('STARTTLS', [220]);
+            await connection.upgrade(host);
+            await connection.command('EHLO professional-web-crawler', [250]);
+            encrypted = true;
+        }
+
+        if (username && !encrypted && !channel.insecure) {
+            throw new Error(translate('smtp.noStartTls', { host }));
+        }
+
+        if (username) {
+            const credentials = Buffer.from(`\0${username}\0${password}`).toString('base64');
+            await connection.command(`AUTH PLAIN ${credentials}`, [235]);
+        }
+
+        await connection.command(`MAIL FROM:<${from}>`, [250]);
+        for (const recipient of to) {
+            await connection.command(`RCPT TO:<${recipient}>`, [250, 251]);
+        }
+        await connection.command('DATA', [354]);
+
+        const subject = translate('alert.emailSubject', { profile: report.profile, count: report.alerts.length });
+        await connection.command(`${buildEmail({ from, to, subject, text: formatAlertReport(report) })}\r\n.`, [250]);
+        await connection.command('QUIT', [221]);
+    } finally {
+        connection.socket.destroy();
+    }
+}
+
+const ALERT_SENDERS = {
+    webhook: sendWebhook,
+    email: sendEmail,
+    log: appendToLog
+};
+
+// Сбой одного канала не мешает остальным. Результат: [{ channel, error }] по каждому каналу
+async function sendAlerts(channels, report) {
+    const results = [];
+    for (const channel of channels) {
+        try {
+            await ALERT_SENDERS[channel.type](channel, report);
+            results.push({ channel, error: null });
+        } catch (error) {
+            results.push({ channel, error: error.message });
+        }
+    }
+    return results;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { sendAlerts, formatAlertReport, buildEmail };
+}
@@ -0,0 +1,378 @@
+// Архив содержимого страниц: текст (и по желанию исходный HTML) каждой страницы,
+// полнотекстовый поиск по нему и экспорт в WARC. Подключается через crawler.use(new PageArchive(store)).
+// Хранилища записей реализуют один интерфейс: save(sessionId, record), load(sessionId, url),
+// loadAll(sessionId), deleteSession(sessionId).
+
+// Браузер: IndexedDB, записи всех сессий в одном хранилище с индексом по сессии
+class IndexedDbArchiveStore {
+    constructor(dbName = 'professional-web-crawler-archive') {
+        this.dbName = dbName;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+
+                request.onupgradeneeded = () => {
+                    const pages = request.result.createObjectStore('pages', { keyPath: ['sessionId', 'url'] });
+                    pages.createIndex('sessionId', 'sessionId');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async transaction(mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction('pages', mode);
+            let result;
+
+            Promise.resolve(callback(tx.objectStore('pages')))
+                .then(value => { result = value; });
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    save(sessionId, record) {
+        return this.transaction('readwrite', pages => {
+            pages.put({ ...record, sessionId });
+        });
+    }
+
+    load(sessionId, url) {
+        return this.transaction('readonly', pages => this.requestToPromise(pages.get([sessionId, url])));
+    }
+
+    async loadAll(sessionId) {
+        const records = await this.transaction('readonly', pages =>
+            this.requestToPromise(pages.index('sessionId').getAll(sessionId)));
+        return records || [];
+    }
+
+    deleteSession(sessionId) {
+        return this.transaction('readwrite', pages => {
+            pages.delete(IDBKeyRange.bound([sessionId], [sessionId, []]));
+        });
+    }
+}
+
+// Node.js: папка на сессию, файл на страницу
+class FileArchiveStore {
+    constructor(directory = '.crawler-archive') {
+        this.fs = require('fs');
+        this.path = require('path');
+        this.crypto = require('crypto');
+        this.directory = directory;
+    }
+
+    sessionPath(sessionId) {
+        return this.path.join(this.directory, this.path.basename(String(sessionId)));
+    }
+
+    // Имя файла - хеш URL: адреса бывают длиннее допустимого имени и содержат запрещенные символы
+    filePath(sessionId, url) {
+        const name = this.crypto.createHash('sha1').update(url).digest('hex');
+        return this.path.join(this.sessionPath(sessionId), `${name}.json`);
+    }
+
+    async save(sessionId, record) {
+        await this.fs.promises.mkdir(this.sessionPath(sessionId), { recursive: true });
+        await this.fs.promises.writeFile(this.filePath(sessionId, record.url), JSON.stringify(record));
+    }
+
+    async load(sessionId, url) {
+        try {
+            return JSON.parse(await this.fs.promises.readFile(this.filePath(sessionId, url), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async loadAll(sessionId) {
+        let files;
+        try {
+            files = await this.fs.promises.readdir(this.sessionPath(sessionId));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const records = [];
+        for (const file of files.filter(name => name.endsWith('.json'))) {
+            records.push(JSON.parse(await this.fs.promises.readFile(this.path.join(this.sessionPath(sessionId), file), 'utf8')));
+        }
+        return records;
+    }
+
+    async deleteSession(sessionId) {
+        await this.fs.promises.rm(this.sessionPath(sessionId), { recursive: true, force: true });
+    }
+}
+
+function tokenize(text) {
+    return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Запрос: слова и фразы в кавычках; страница должна содержать все
+function parseSearchQuery(query) {
+    const phrases = [];
+    const rest = query.replace(/"([^"]*)"/g, (match, phrase) => {
+        const terms = tokenize(phrase);
+        if (terms.length > 0) phrases.push(terms);
+        return ' ';
+    });
+    tokenize(rest).forEach(term => phrases.push([term]));
+    return phrases;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class PageArchive {
+    constructor(store, options = {}) {
+        this.name = 'archive';
+        this.store = store;
+        this.options = {
+            // Позиции слов дальше этого предела не индексируются - бережем память на больших страницах
+            maxIndexedWords: 20000,
+            snippetLength: 160,
+            ...options
+        };
+        this.crawler = null;
+        this.pendingWrites = new Set();
+        this.resetIndex();
+    }
+
+    resetIndex() {
+        this.documents = [];
+        this.documentIds = new Map();
+        // Инвертированный индекс: слово -> Map(номер документа -> позиции слова)
+        this.index = new Map();
+        this.indexStale = false;
+    }
+
+    attach(crawler) {
+        this.crawler = crawler;
+        crawler.on('page', page => {
+            if (!this.isEnabled()) return;
+
+            const document = page.getDocument();
+            if (!document) return;
+
+            const record = {
+                url: page.url,
+                finalUrl: page.finalUrl,
+                status: page.status,
+                statusText: page.statusText,
+                title: page.title,
+                contentType: page.contentType,
+                headers: page.headers,
+                fetchedAt: Date.now(),
+                text: crawler.getVisibleText(document.body).replace(/\s+/g, ' ').trim(),
+                html: crawler.config.archiveRawHtml ? page.content : null
+            };
+
+            this.indexDocument(record);
+            this.trackWrite(this.store.save(crawler.sessionId, record));
+        });
+    }
+
+    isEnabled() {
+        return Boolean(this.crawler && this.crawler.config.archivePages && this.store);
+    }
+
+    reset() {
+        this.resetIndex();
+    }
+
+    // Сам архив лежит в хранилище; после восстановления индекс строится заново при первом поиске
+    exportState() {
+        return { pages: this.documents.length };
+    }
+
+    restoreState() {
+        this.indexStale = true;
+    }
+
+    trackWrite(promise) {
+        const write = promise
+            .catch(error => this.crawler.log('plugin.archiveFailed', 'warning', { message: error.message }))
+            .finally(() => this.pendingWrites.delete(write));
+        this.pendingWrites.add(write);
+    }
+
+    // Дожидается записи всех страниц, сохраненных к этому моменту
+    async flush() {
+        await Promise.all(Array.from(this.pendingWrites));
+    }
+
+    indexDocument(record) {
+        // Повторная загрузка (продолжение сессии) заменяет прежнюю запись
+        let id = this.documentIds.get(record.url);
+        if (id === undefined) {
+            id = this.documents.length;
+            this.documentIds.set(record.url, id);
+            this.documents.push(null);
+        } else {
+            this.index.forEach(postings => postings.delete(id));
+        }
+        this.documents[id] = { url: record.url, title: record.title };
+
+        tokenize(`${record.title || ''} ${record.text}`)
+            .slice(0, this.options.maxIndexedWords)
+            .forEach((term, position) => {
+                if (!this.index.has(term)) this.index.set(term, new Map());
+                const postings = this.index.get(term);
+                if (!postings.has(id)) postings.set(id, []);
+                postings.get(id).push(position);
+            });
+    }
+
+    async ensureIndex() {
+        if (!this.indexStale) return;
+
+        this.resetIndex();
+        (await this.store.loadAll(this.crawler.sessionId)).forEach(record => this.indexDocument(record));
+    }
+
+    // Позиции начала фразы в документе: каждое следующее слово стоит сразу за предыдущим
+    findPhrase(id, terms) {
+        const positions = terms.map(term => (this.index.get(term) && this.index.get(term).get(id)) || []);
+        const following = positions.slice(1).map(list => new Set(list));
+        return positions[0].filter(start => following.every((set, offset) => set.has(start + offset + 1)));
+    }
+
+    // [{ url, title, matches, snippet }] по убыванию числа совпадений
+    async search(query, { limit = 50 } = {}) {
+        await this.flush();
+        await this.ensureIndex();
+
+        const phrases = parseSearchQuery(query);
+        if (phrases.length === 0) return [];
+
+        // Кандидаты - документы с самым редким словом запроса
+        const rarest = phrases.flat()
+            .map(term => this.index.get(term) || new Map())
+            .sort((a, b) => a.size - b.size)[0];
+
+        const hits = [];
+        rarest.forEach((positions, id) => {
+            let matches = 0;
+            for (const terms of phrases) {
+                const found = this.findPhrase(id, terms).length;
+                if (found === 0) return;
+                matches += found;
+            }
+            hits.push({ id, matches });
+        });
+
+        hits.sort((a, b) => b.matches - a.matches);
+        return Promise.all(hits.slice(0, limit).map(async ({ id, matches }) => {
+            const { url, title } = this.documents[id];
+            const record = await this.store.load(this.crawler.sessionId, url);
+            return { url, title, matches, snippet: record ? this.makeSnippet(record.text, phrases[0]) : '' };
+        }));
+    }
+
+    makeSnippet(text, terms) {
+        const pattern = new RegExp(terms.map(escapeRegExp).join('[^\\p{L}\\p{N}]+'), 'iu');
+        const match = pattern.exec(text);
+        const half = Math.floor(this.options.snippetLength / 2);
+        if (!match) return text.slice(0, this.options.snippetLength);
+
+        const start = Math.max(0, match.index - half);
+        const end = Math.min(text.length, match.index + match[0].length + half);
+        return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+    }
+
+    getResults() {
+        return {
+            pages: this.documents.length,
+            rawHtml: Boolean(this.crawler.config.archiveRawHtml)
+        };
+    }
+
+    // WARC 1.1 (Uint8Array): с исходным HTML - записи response, без него - resource с текстом страницы
+    async exportWarc() {
+        await this.flush();
+        const records = await this.store.loadAll(this.crawler.sessionId);
+        const encoder = new TextEncoder();
+        const parts = [];
+
+        const addRecord = (headers, body) => {
+            const bytes = encoder.encode(body);
+            const headerLines = Object.entries({
+                ...headers,
+                'WARC-Record-ID': `<urn:uuid:${createUuid()}>`,
+                'Content-Length': bytes.length
+            }).map(([name, value]) => `${name}: ${value}`);
+            parts.push(encoder.encode(`WARC/1.1\r\n${headerLines.join('\r\n')}\r\n\r\n`), bytes, encoder.encode('\r\n\r\n'));
+        };
+
+        addRecord({
+            'WARC-Type': 'warcinfo',
+            'WARC-Date': new Date().toISOString(),
+            'Content-Type': 'application/warc-fields'
+        }, `software: Professional Web Crawler\r\nformat: WARC File Format 1.1\r\nisPartOf: ${this.crawler.startUrl}\r\n`);
+
+        records.forEach(record => {
+            const common = {
+                'WARC-Target-URI': record.finalUrl || record.url,
+                'WARC-Date': new Date(record.fetchedAt).toISOString()
+            };
+
+            if (record.html !== null && record.html !== undefined) {
+                // Тело уже декодировано в UTF-8, поэтому длину и сжатие исходного ответа не переносим
+                const skipped = ['content-length', 'content-encoding', 'transfer-encoding'];
+                const headerLines = Object.entries(record.headers || {})
+                    .filter(([name]) => !skipped.includes(name.toLowerCase()))
+                    .map(([name, value]) => `${name}: ${value}`);
+                headerLines.push(`Content-Length: ${encoder.encode(record.html).length}`);
+
+                addRecord({ ...common, 'WARC-Type': 'response', 'Content-Type': 'application/http; msgtype=response' },
+                    `HTTP/1.1 ${record.status} ${record.statusText || ''}\r\n${headerLines.join('\r\n')}\r\n\r\n${record.html}`);
+            } else {
+                addRecord({ ...common, 'WARC-Type': 'resource', 'Content-Type': 'text/plain; charset=utf-8' }, record.text);
+            }
+        });
+
+        const warc = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            warc.set(part, position);
+            position += part.length;
+        });
+        return warc;
+    }
+}
+
+// В Node.js глобального crypto в CommonJS может не быть - берем webcrypto из модуля crypto
+function createUuid() {
+    const webcrypto = typeof module !== 'undefined' && module.exports ? require('crypto').webcrypto : crypto;
+    const bytes = webcrypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PageArchive, IndexedDbArchiveStore, FileArchiveStore, parseSearchQuery };
+}
@@ -0,0 +1,319 @@
+#!/usr/bin/env node
+// Локальный прокси для браузерного интерфейса: запросы к сайтам идут с вашей машины,
+// а не через сторонние CORS-прокси. Интерфейс открывается с самого прокси: http://127.0.0.1:8787/
+//
+//   node proxy-server.js --port 8787
+//   node proxy-server.js --token secret --allow-origin http://localhost:8080 --lang en
+//
+// GET /fetch?url=<адрес>&method=GET|HEAD&redirect=manual|follow
+// Заголовки X-Forward-<Имя> уходят на сайт как <Имя>. Ответ всегда 200, настоящий код - в
+// X-Proxy-Status: иначе браузер скрыл бы редиректы. Set-Cookie браузер скриптам не показывает,
+// поэтому cookies сайта передаются в X-Proxy-Set-Cookie (JSON-массив).
+//
+// Прокси не должен стать входом в локальную сеть для любой открытой в браузере страницы:
+// - сервер слушает только 127.0.0.1 и принимает лишь запросы с заголовком X-Proxy-Token. Без --token
+//   токен создается при запуске и выводится в консоль - его вводят в форме интерфейса;
+// - CORS разрешен только origin самого прокси (и тем, что перечислены в --allow-origin);
+// - адреса localhost, локальной сети и link-local недоступны, в том числе через редиректы,
+//   пока не указан --allow-private. Соединение идет на тот самый проверенный IP, поэтому имя,
+//   которое при повторном разрешении указало бы на 127.0.0.1 (DNS rebinding), не поможет.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const zlib = require('zlib');
+const { t, setLocale, resolveCliLocale } = require('./i18n.js');
+
+// Заголовки, которые нельзя передать как есть: тело уже распаковано, длина другая,
+// hop-by-hop относятся только к соединению с сайтом, а Set-Cookie сайта браузер записал бы на адрес прокси.
+// CORS-заголовки сайта тоже не передаются - иначе они заменили бы политику самого прокси
+const SKIPPED_RESPONSE_HEADERS = [
+    'content-encoding', 'content-length', 'set-cookie',
+    'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'te', 'trailer', 'transfer-encoding', 'upgrade'
+];
+
+function isSkippedResponseHeader(name) {
+    return SKIPPED_RESPONSE_HEADERS.includes(name) || name.startsWith('access-control-');
+}
+
+// Файлы интерфейса, которые прокси отдает сам: страница, скрипты и стили из его папки
+const UI_FILE_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8'
+};
+
+const MAX_REDIRECTS = 10;
+
+function parseArgs(argv) {
+    const options = { port: 8787, host: '127.0.0.1', allowOrigins: [], token: null, allowPrivate: false, timeout: 60000 };
+    const flags = {
+        '--port': value => { options.port = parseInt(value); },
+        '--host': value => { options.host = value; },
+        '--allow-origin': value => { options.allowOrigins.push(...value.split(',').map(origin => origin.trim()).filter(Boolean)); },
+        '--token': value => { options.token = value; },
+        '--timeout': value => { options.timeout = parseInt(value); },
+        // Язык уже выбран до разбора флагов
+        '--lang': () => {}
+    };
+    const switches = {
+        '--allow-private': () => { options.allowPrivate = true; }
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (switches[argv[i]]) {
+            switches[argv[i]]();
+            continue;
+        }
+        if (!flags[argv[i]] || argv[i + 1] === undefined) {
+            throw new Error(t('proxy.invalidFlag', { flag: argv[i] }));
+        }
+        flags[argv[i]](argv[++i]);
+    }
+
+    return options;
+}
+
+// Origin интерфейса, открытого с самого прокси: по IP и по имени localhost
+function getOwnOrigins(options) {
+    return [`http://${options.host}:${options.port}`, `http://127.0.0.1:${options.port}`, `http://localhost:${options.port}`];
+}
+
+// Разрешенный origin возвращается как есть, остальным CORS-заголовков не достается
+function setCorsHeaders(req, res, options) {
+    res.setHeader('Vary', 'Origin');
+    const origin = req.headers.origin;
+    if (!origin || !options.allowOrigins.includes(origin)) return;
+
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', '*');
+    res.setHeader('Access-Control-Expose-Headers', '*');
+}
+
+// Токены сравниваются за постоянное время
+function isValidToken(value, token) {
+    const given = Buffer.from(String(value || ''));
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Loopback, частные сети, link-local, CGNAT, multicast и служебные диапазоны
+function isPrivateAddress(address) {
+    if (net.isIPv6(address)) {
+        const lower = address.toLowerCase();
+        // IPv4 в IPv6: ::ffff:127.0.0.1 или, как его записывает URL, ::ffff:7f00:1
+        const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+        if (mapped) return isPrivateAddress(mapped[1]);
+        const mappedHex = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+        if (mappedHex) {
+            const [high, low] = mappedHex.slice(1).map(part => parseInt(part, 16));
+            return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+        }
+        return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || /^ff/.test(lower);
+    }
+
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+        (a === 100 && b >= 64 && b <= 127) ||
+        (a === 169 && b === 254) ||
+        (a === 172 && b >= 16 && b <= 31) ||
+        (a === 192 && b === 168);
+}
+
+// Проверяются все адреса, в которые разрешается имя хоста; возвращается первый - к нему и подключаемся
+async function resolvePublicTarget(target) {
+    const hostname = new URL(target).hostname.replace(/^\[|\]$/g, '');
+    const entries = net.isIP(hostname)
+        ? [{ address: hostname, family: net.isIP(hostname) }]
+        : await dns.promises.lookup(hostname, { all: true });
+
+    const privateEntry = entries.find(entry => isPrivateAddress(entry.address));
+    if (privateEntry) {
+        const error = new Error(t('proxy.privateAddress', { host: hostname, address: privateEntry.address }));
+        error.status = 403;
+        throw error;
+    }
+    return entries[0];
+}
+
+// Запрос к сайту без повторного разрешения имени: lookup всегда отдает уже проверенный адрес.
+// Имя хоста остается в Host и SNI, так что сертификат проверяется как обычно
+function requestUpstream(target, { method, headers, timeout, resolved }) {
+    const url = new URL(target);
+    const lookup = resolved && ((hostname, lookupOptions, callback) => {
+        if (lookupOptions.all) callback(null, [resolved]);
+        else callback(null, resolved.address, resolved.family);
+    });
+
+    return new Promise((resolve, reject) => {
+        const request = (url.protocol === 'https:' ? https : http).request(url, {
+            method,
+            headers: { 'accept-encoding': 'gzip, deflate, br', ...headers },
+            lookup,
+            signal: AbortSignal.timeout(timeout)
+        }, response => {
+            const decoders = { gzip: zlib.createGunzip, 'x-gzip': zlib.createGunzip, deflate: zlib.createInflate, br: zlib.createBrotliDecompress };
+            const decoder = decoders[(response.headers['content-encoding'] || '').trim().toLowerCase()];
+            const body = decoder ? response.pipe(decoder()) : response;
+            if (decoder) response.on('error', error => body.destroy(error));
+
+            const chunks = [];
+            body.on('data', chunk => chunks.push(chunk));
+            body.on('error', reject);
+            body.on('end', () => resolve({
+                status: response.statusCode,
+                statusText: response.statusMessage || '',
+                headers: response.headers,
+                body: Buffer.concat(chunks)
+            }));
+        });
+        request.on('error', reject);
+        request.end();
+    });
+}
+
+function sendError(res, status, message) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.end(message);
+}
+
+async function handleFetch(req, res, options) {
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    const target = params.get('url');
+    const method = (params.get('method') || 'GET').toUpperCase();
+    const redirect = params.get('redirect') || 'follow';
+
+    if (!target || !/^https?:\/\//i.test(target)) {
+        return sendError(res, 400, t('proxy.invalidTarget'));
+    }
+    if (!['GET', 'HEAD'].includes(method) || !['manual', 'follow'].includes(redirect)) {
+        return sendError(res, 400, t('proxy.invalidParams'));
+    }
+
+    const headers = {};
+    Object.entries(req.headers).forEach(([name, value]) => {
+        if (name.startsWith('x-forward-')) headers[name.slice('x-forward-'.length)] = value;
+    });
+
+    // Редиректы проходим сами: каждый адрес цепочки проверяется так же, как исходный
+    let upstream;
+    let currentUrl = target;
+    try {
+        for (let hop = 0; ; hop++) {
+            const resolved = options.allowPrivate ? null : await resolvePublicTarget(currentUrl);
+
+            upstream = await requestUpstream(currentUrl, { method, headers, timeout: options.timeout, resolved });
+            const location = upstream.headers.location;
+            if (redirect === 'manual' || !location || ![301, 302, 303, 307, 308].includes(upstream.status)) break;
+            if (hop >= MAX_REDIRECTS) {
+                return sendError(res, 502, t('proxy.tooManyRedirects', { count: MAX_REDIRECTS }));
+            }
+            const nextUrl = new URL(location, currentUrl);
+            // Как и fetch, учетные данные на чужой origin не передаем
+            if (nextUrl.origin !== new URL(currentUrl).origin) {
+                delete headers.authorization;
+                delete headers.cookie;
+            }
+            currentUrl = nextUrl.href;
+        }
+    } catch (error) {
+        return sendError(res, error.status || 502, error.status ? error.message : t('proxy.siteUnavailable', { message: error.message }));
+    }
+
+    Object.entries(upstream.headers).forEach(([name, value]) => {
+        if (!isSkippedResponseHeader(name)) res.setHeader(name, value);
+    });
+    const setCookies = upstream.headers['set-cookie'] || [];
+    if (setCookies.length > 0) {
+        res.setHeader('X-Proxy-Set-Cookie', encodeURIComponent(JSON.stringify(setCookies)));
+    }
+    res.setHeader('X-Proxy-Status', upstream.status);
+    res.setHeader('X-Proxy-Status-Text', encodeURIComponent(upstream.statusText));
+    res.statusCode = 200;
+    res.end(method === 'HEAD' ? undefined : upstream.body);
+}
+
+// Интерфейс краулера: index.html и его скрипты и стили. Токен для них не нужен - это исходный код
+function serveUiFile(req, res) {
+    const rootDir = __dirname;
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+        return sendError(res, 400, t('proxy.invalidPath'));
+    }
+    const filePath = path.resolve(rootDir, `.${pathname === '/' ? '/index.html' : pathname}`);
+    const contentType = UI_FILE_TYPES[path.extname(filePath).toLowerCase()];
+
+    if (!contentType || path.dirname(filePath) !== rootDir || !fs.existsSync(filePath)) {
+        return sendError(res, 404, t('proxy.usage'));
+    }
+    res.setHeader('Content-Type', contentType);
+    res.end(fs.readFileSync(filePath));
+}
+
+function createProxyServer(options) {
+    if (!options.token) {
+        throw new Error(t('proxy.tokenRequired'));
+    }
+    const allowOrigins = [...getOwnOrigins(options), ...(options.allowOrigins || [])];
+    const serverOptions = { ...options, allowOrigins };
+
+    return http.createServer((req, res) => {
+        setCorsHeaders(req, res, serverOptions);
+
+        if (req.method === 'OPTIONS') {
+            res.statusCode = 204;
+            return res.end();
+        }
+        if (req.method === 'GET' && !req.url.startsWith('/fetch?')) {
+            return serveUiFile(req, res);
+        }
+        if (!isValidToken(req.headers['x-proxy-token'], options.token)) {
+            return sendError(res, 403, t('proxy.invalidToken'));
+        }
+        if (req.method !== 'GET') {
+            return sendError(res, 404, t('proxy.usage'));
+        }
+
+        handleFetch(req, res, serverOptions).catch(error => {
+            if (!res.headersSent) sendError(res, 500, error.message);
+            else res.destroy(error);
+        });
+    });
+}
+
+if (require.main === module) {
+    const argv = process.argv.slice(2);
+    let options;
+    try {
+        setLocale(resolveCliLocale(argv, process.env.CRAWLER_LANG));
+        options = parseArgs(argv);
+    } catch (error) {
+        process.stderr.write(`${t('cli.error', { message: error.message })}\n`);
+        process.exit(2);
+    }
+
+    const generatedToken = !options.token;
+    if (generatedToken) {
+        options.token = crypto.randomBytes(16).toString('hex');
+    }
+
+    createProxyServer(options).listen(options.port, options.host, () => {
+        process.stderr.write(`${t('proxy.started', { url: `http://${options.host}:${options.port}` })}\n`);
+        if (generatedToken) {
+            process.stderr.write(`${t('proxy.generatedToken', { token: options.token })}\n`);
+        }
+        if (options.allowPrivate) {
+            process.stderr.write(`${t('proxy.privateAllowed')}\n`);
+        }
+    });
+}
+
+module.exports = { createProxyServer, isPrivateAddress };
@@ -0,0 +1,242 @@
+// Рендеринг страниц в headless-браузере (Node.js): Puppeteer или Playwright.
+// Подключается к краулеру снаружи: crawler.renderer = new HeadlessRenderer('puppeteer').
+// Ответ render() совпадает по форме с fetchUrl(), поэтому дальше страница обрабатывается как обычно.
+// login() заполняет форму входа; cookies браузера и краулера в формате CookieJar из auth.js.
+
+// Cookie для браузера: без домена, но с url - cookie только этого хоста
+function toBrowserCookie(cookie) {
+    const base = { name: cookie.name, value: cookie.value, secure: cookie.secure, httpOnly: cookie.httpOnly };
+    if (cookie.hostOnly) {
+        return { ...base, url: `${cookie.secure ? 'https' : 'http'}://${cookie.domain}${cookie.path}` };
+    }
+    return { ...base, domain: `.${cookie.domain}`, path: cookie.path, expires: cookie.expires ? cookie.expires / 1000 : -1 };
+}
+
+function fromBrowserCookie(cookie) {
+    return {
+        name: cookie.name,
+        value: cookie.value,
+        domain: cookie.domain.replace(/^\./, ''),
+        path: cookie.path,
+        hostOnly: !cookie.domain.startsWith('.'),
+        secure: cookie.secure,
+        httpOnly: cookie.httpOnly,
+        expires: cookie.expires > 0 ? cookie.expires * 1000 : null
+    };
+}
+
+// Заголовки только для запросов к origin страницы
+function withOriginHeaders(requestUrl, requestHeaders, origin, headers) {
+    return new URL(requestUrl).origin === origin ? { ...requestHeaders, ...headers } : requestHeaders;
+}
+
+const RENDER_BACKENDS = {
+    puppeteer: {
+        packageName: 'puppeteer',
+        async launch() {
+            const puppeteer = require('puppeteer');
+            const browser = await puppeteer.launch({ headless: true });
+            return {
+                browser,
+                newPage: () => browser.newPage(),
+                close: () => browser.close()
+            };
+        },
+        // Puppeteer считает сеть затихшей при 0 или 2 соединениях; long polling не дал бы дождаться 0
+        waitUntil: { load: 'load', domcontentloaded: 'domcontentloaded', networkidle: 'networkidle2' },
+        // Предыдущие запросы цепочки редиректов
+        getRedirectRequests: response => response.request().redirectChain(),
+        setCookies: (page, cookies) => page.setCookie(...cookies.map(toBrowserCookie)),
+        getCookies: page => page.cookies(),
+        async setOriginHeaders(page, origin, headers) {
+            await page.setRequestInterception(true);
+            page.on('request', request => {
+                request.continue({ headers: withOriginHeaders(request.url(), request.headers(), origin, headers) });
+            });
+        },
+        async fill(page, selector, value) {
+            await page.$eval(selector, element => { element.value = ''; });
+            await page.type(selector, value);
+        }
+    },
+    playwright: {
+        packageName: 'playwright',
+        async launch() {
+            const { chromium } = require('playwright');
+            const browser = await chromium.launch({ headless: true });
+            const context = await browser.newContext();
+            return {
+                browser,
+                newPage: () => context.newPage(),
+                close: () => browser.close()
+            };
+        },
+        waitUntil: { load: 'load', domcontentloaded: 'domcontentloaded', networkidle: 'networkidle' },
+        getRedirectRequests: response => {
+            const requests = [];
+            let request = response.request().redirectedFrom();
+            while (request) {
+                requests.unshift(request);
+                request = request.redirectedFrom();
+            }
+            return requests;
+        },
+        setCookies: (page, cookies) => page.context().addCookies(cookies.map(toBrowserCookie)),
+        getCookies: page => page.context().cookies(),
+        setOriginHeaders: (page, origin, headers) => page.route('**/*', route => {
+            const request = route.request();
+            route.continue({ headers: withOriginHeaders(request.url(), request.headers(), origin, headers) });
+        }),
+        fill: (page, selector, value) => page.fill(selector, value)
+    }
+};
+
+class HeadlessRenderer {
+    constructor(backend = 'puppeteer') {
+        if (!RENDER_BACKENDS[backend]) {
+            throw new Error(this.t('renderer.unknownBackend', { backend, allowed: Object.keys(RENDER_BACKENDS).join(', ') }));
+        }
+
+        this.backendName = backend;
+        this.backend = RENDER_BACKENDS[backend];
+        this.instancePromise = null;
+    }
+
+    // Сообщения об ошибках - на языке интерфейса (i18n.js)
+    t(key, params) {
+        const i18n = typeof module !== 'undefined' && module.exports ? require('./i18n.js') : { t };
+        return i18n.t(key, params);
+    }
+
+    // Браузер запускается один раз при первом обращении и используется всеми воркерами
+    launch() {
+        if (!this.instancePromise) {
+            this.instancePromise = this.backend.launch().catch(error => {
+                this.instancePromise = null;
+                if (error.code === 'MODULE_NOT_FOUND') {
+                    const name = this.backend.packageName;
+                    throw new Error(this.t('renderer.packageMissing', { name }));
+                }
+                throw error;
+            });
+        }
+        return this.instancePromise;
+    }
+
+    // options: { timeout, waitUntil: 'load' | 'domcontentloaded' | 'networkidle', waitForSelector, headers,
+    //            originHeaders - только для origin страницы (авторизация), cookies }
+    async render(url, options = {}) {
+        const instance = await this.launch();
+        const startTime = Date.now();
+        const timeout = options.timeout || 30000;
+        const page = await instance.newPage();
+
+        try {
+            if (options.headers) {
+                await page.setExtraHTTPHeaders(options.headers);
+            }
+            if (options.originHeaders && Object.keys(options.originHeaders).length > 0) {
+                await this.backend.setOriginHeaders(page, new URL(url).origin, options.originHeaders);
+            }
+            if (options.cookies && options.cookies.length > 0) {
+                await this.backend.setCookies(page, options.cookies);
+            }
+
+            const response = await page.goto(url, {
+                timeout,
+                waitUntil: this.backend.waitUntil[options.waitUntil] || this.backend.waitUntil.networkidle
+            });
+            if (!response) {
+                throw new Error(this.t('renderer.noResponse'));
+            }
+
+            if (options.waitForSelector) {
+                await page.waitForSelector(options.waitForSelector, { timeout });
+            }
+
+            const content = await page.content();
+            const headers = response.headers();
+            const redirectChain = this.backend.getRedirectRequests(response).map(request => {
+                const redirectResponse = request.response();
+                return {
+                    url: request.url(),
+                    status: redirectResponse ? redirectResponse.status() : null,
+                    location: redirectResponse ? redirectResponse.headers().location || null : null
+                };
+            });
+
+            const result = {
+                content,
+                finalUrl: page.url(),
+                status: response.status(),
+                statusText: response.statusText(),
+                redirectChain,
+                headers,
+                contentType: headers['content-type'] || null,
+                contentLength: Buffer.byteLength(content),
+                responseTime: Date.now() - startTime,
+                rendered: true
+            };
+
+            if (result.status >= 400) {
+                const error = new Error(`HTTP ${result.status}${result.statusText ? ' ' + result.statusText : ''}`);
+                error.response = result;
+                throw error;
+            }
+
+            return result;
+        } finally {
+            await page.close().catch(() => {});
+        }
+    }
+
+    // Вход через форму: { url, fields: { селектор: значение }, submit, waitFor, timeout }.
+    // Без submit форма отправляется нажатием Enter в последнем поле. Возвращает cookies после входа
+    async login({ url, fields, submit, waitFor, timeout = 30000 }) {
+        const instance = await this.launch();
+        const page = await instance.newPage();
+
+        try {
+            await page.goto(url, { timeout, waitUntil: this.backend.waitUntil.load });
+
+            for (const [selector, value] of Object.entries(fields)) {
+                await page.waitForSelector(selector, { timeout });
+                await this.backend.fill(page, selector, String(value));
+            }
+
+            const navigation = page.waitForNavigation({ timeout, waitUntil: this.backend.waitUntil.load }).catch(() => null);
+            if (submit) {
+                await page.click(submit);
+            } else {
+                await page.keyboard.press('Enter');
+            }
+            await navigation;
+
+            // Селектор, который есть только у вошедшего пользователя, подтверждает успешный вход
+            if (waitFor) {
+                await page.waitForSelector(waitFor, { timeout }).catch(() => {
+                    throw new Error(this.t('renderer.loginFailed', { selector: waitFor }));
+                });
+            }
+
+            return {
+                finalUrl: page.url(),
+                cookies: (await this.backend.getCookies(page)).map(fromBrowserCookie)
+            };
+        } finally {
+            await page.close().catch(() => {});
+        }
+    }
+
+    async close() {
+        if (!this.instancePromise) return;
+
+        const instance = await this.instancePromise.catch(() => null);
+        this.instancePromise = null;
+        if (instance) await instance.close();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HeadlessRenderer, RENDER_BACKENDS };
+}
@@ -0,0 +1,252 @@
+// Аудит ресурсов страниц: вес картинок, стилей и скриптов, сжатие, кэширование и смешанный контент.
+// Подключается к краулеру через crawler.use(new ResourceAuditor()) и включается config.auditResources.
+// Ресурсы собираются по событию 'page', а запрашиваются после обхода страниц - каждый уникальный один раз.
+
+// Эти типы стоит сжимать gzip или brotli; картинки, видео и woff2 сжаты сами по себе
+const COMPRESSIBLE_TYPES = /^(text\/|image\/svg\+xml|application\/(javascript|x-javascript|ecmascript|json|ld\+json|manifest\+json|xml|rss\+xml|vnd\.ms-fontobject)|font\/(ttf|otf))/i;
+
+// <link rel> - ресурсы, которые браузер действительно загружает (не preconnect, не RSS)
+const LOADED_LINK_RELS = /(^|\s)(stylesheet|icon|apple-touch-icon|mask-icon|preload|modulepreload|manifest)(\s|$)/i;
+
+function getResourceCategory(contentType, tag) {
+    const type = (contentType || '').toLowerCase();
+    if (type.startsWith('image/')) return 'image';
+    if (type.includes('css')) return 'stylesheet';
+    if (type.includes('javascript') || type.includes('ecmascript')) return 'script';
+    if (type.startsWith('font/') || type.includes('font')) return 'font';
+    if (type.startsWith('video/') || type.startsWith('audio/')) return 'media';
+
+    // Тип неизвестен (ошибка, HEAD без Content-Type) - судим по тегу
+    const byTag = { img: 'image', source: 'image', input: 'image', script: 'script', link: 'stylesheet', video: 'media', audio: 'media', track: 'media' };
+    return byTag[tag] || 'other';
+}
+
+// Ресурс кэшируется, если сервер разрешил хранить его хоть какое-то время
+function isCacheable(headers) {
+    const cacheControl = (headers['cache-control'] || '').toLowerCase();
+    if (/no-store|no-cache/.test(cacheControl)) return false;
+
+    const maxAge = cacheControl.match(/(?:^|[,\s])(?:s-)?max-age=(\d+)/);
+    if (maxAge) return parseInt(maxAge[1]) > 0;
+    if (cacheControl.includes('immutable')) return true;
+
+    const expires = Date.parse(headers.expires || '');
+    return !isNaN(expires) && expires > Date.now();
+}
+
+// Единицы размера - на языке интерфейса (i18n.js)
+function formatSize(bytes) {
+    const i18n = typeof module !== 'undefined' && module.exports ? require('./i18n.js') : { t };
+    if (bytes >= 1024 * 1024) return i18n.t('size.megabytes', { value: (bytes / 1024 / 1024).toFixed(1) });
+    if (bytes >= 1024) return i18n.t('size.kilobytes', { value: Math.round(bytes / 1024) });
+    return i18n.t('size.bytes', { value: bytes });
+}
+
+class ResourceAuditor {
+    constructor(options = {}) {
+        this.name = 'resources';
+        this.options = {
+            // Картинки тяжелее этого размера попадают в отчет
+            maxImageSize: 200 * 1024,
+            // Ответы меньше этого размера не сжимают: выигрыш меньше накладных расходов
+            minCompressibleSize: 1024,
+            heaviestPagesLimit: 20,
+            ...options
+        };
+        this.crawler = null;
+        this.pages = new Map();
+        this.assets = new Map();
+    }
+
+    attach(crawler) {
+        this.crawler = crawler;
+        crawler.on('page', page => {
+            if (!this.isEnabled()) return;
+
+            const pageUrl = page.finalUrl || page.url;
+            const assetUrls = new Set();
+            page.links
+                .filter(link => link.type === 'resource' && link.tag !== 'form')
+                .filter(link => link.tag !== 'link' || LOADED_LINK_RELS.test(link.rel || ''))
+                .forEach(link => {
+                    const url = link.url.split('#')[0];
+                    assetUrls.add(url);
+                    if (!this.assets.has(url)) {
+                        this.assets.set(url, { url, tag: link.tag, checked: false });
+                    }
+                });
+
+            this.pages.set(page.url, {
+                url: page.url,
+                https: pageUrl.startsWith('https:'),
+                htmlSize: page.contentLength,
+                ttfb: page.ttfb,
+                downloadTime: page.downloadTime,
+                responseTime: page.responseTime,
+                assets: Array.from(assetUrls)
+            });
+        });
+    }
+
+    isEnabled() {
+        return Boolean(this.crawler && this.crawler.config.auditResources);
+    }
+
+    reset() {
+        this.pages.clear();
+        this.assets.clear();
+    }
+
+    exportState() {
+        return { pages: Array.from(this.pages.values()), assets: Array.from(this.assets.values()) };
+    }
+
+    restoreState(state) {
+        this.pages = new Map(state.pages.map(page => [page.url, page]));
+        this.assets = new Map(state.assets.map(asset => [asset.url, asset]));
+    }
+
+    // После обхода: ресурсы, не проверенные до остановки, проверяются и при продолжении сессии
+    async finish() {
+        const pending = Array.from(this.assets.values()).filter(asset => !asset.checked);
+        const workerCount = Math.max(1, parseInt(this.crawler.config.concurrency) || 1);
+        if (pending.length === 0) return;
+
+        this.crawler.log('plugin.resourcesCheck', 'info', { count: pending.length });
+
+        const worker = async () => {
+            while (pending.length > 0 && this.crawler.isCrawling) {
+                const asset = pending.shift();
+                await this.crawler.waitForHostSlot(asset.url);
+                await this.checkAsset(asset);
+            }
+        };
+
+        const workers = [];
+        for (let i = 0; i < workerCount; i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+
+        const { summary } = this.getResults();
+        this.crawler.log('plugin.resourcesSummary', 'info', {
+            checked: summary.checkedAssets,
+            size: formatSize(summary.totalAssetSize),
+            oversized: summary.oversizedImages,
+            uncompressed: summary.uncompressedAssets,
+            uncached: summary.uncachedAssets,
+            mixed: summary.mixedContent
+        });
+    }
+
+    async checkAsset(asset) {
+        try {
+            const method = this.crawler.config.resourceRequestMethod === 'GET' ? 'GET' : 'HEAD';
+            let response = await this.crawler.sendRequest(asset.url, 'follow', method);
+            let isHead = method === 'HEAD';
+            if (isHead && (response.status === 405 || response.status === 501)) {
+                response = await this.crawler.sendRequest(asset.url, 'follow', 'GET');
+                isHead = false;
+            }
+
+            const headers = Object.fromEntries(response.headers.entries());
+            const headerLength = parseInt(headers['content-length']);
+            // Без Content-Length размер известен только после загрузки тела
+            const bodyLength = isHead ? null : (await response.arrayBuffer()).byteLength;
+
+            Object.assign(asset, {
+                checked: true,
+                ok: response.ok,
+                status: response.status,
+                contentType: headers['content-type'] || null,
+                size: !isNaN(headerLength) ? headerLength : bodyLength,
+                encoding: headers['content-encoding'] || null,
+                cacheControl: headers['cache-control'] || null,
+                expires: headers.expires || null,
+                etag: headers.etag || null,
+                lastModified: headers['last-modified'] || null,
+                cacheable: isCacheable(headers),
+                error: response.ok ? null : `HTTP ${response.status}`
+            });
+        } catch (error) {
+            Object.assign(asset, { checked: true, ok: false, status: null, size: null, error: error.message });
+        }
+        asset.category = getResourceCategory(asset.contentType, asset.tag);
+    }
+
+    isCompressible(asset) {
+        return COMPRESSIBLE_TYPES.test(asset.contentType || '');
+    }
+
+    getResults() {
+        const assets = Array.from(this.assets.values());
+        const checked = assets.filter(asset => asset.checked);
+        const pageCounts = new Map();
+        this.pages.forEach(page => page.assets.forEach(url => pageCounts.set(url, (pageCounts.get(url) || 0) + 1)));
+        const withPages = asset => ({ ...asset, pages: pageCounts.get(asset.url) || 0 });
+
+        const pages = Array.from(this.pages.values()).map(page => {
+            const pageAssets = page.assets.map(url => this.assets.get(url)).filter(Boolean);
+            const assetSize = pageAssets.reduce((sum, asset) => sum + (asset.size || 0), 0);
+            return {
+                url: page.url,
+                htmlSize: page.htmlSize,
+                assetCount: pageAssets.length,
+                assetSize,
+                totalSize: (page.htmlSize || 0) + assetSize,
+                // Ресурсы без известного размера (ошибка или HEAD без Content-Length) в вес не вошли
+                unknownSizeAssets: pageAssets.filter(asset => asset.size === null || asset.size === undefined).length,
+                ttfb: page.ttfb,
+                downloadTime: page.downloadTime,
+                responseTime: page.responseTime,
+                mixedContent: page.https ? page.assets.filter(url => url.startsWith('http:')) : []
+            };
+        });
+
+        const ok = checked.filter(asset => asset.ok);
+        const oversizedImages = ok
+            .filter(asset => asset.category === 'image' && asset.size > this.options.maxImageSize)
+            .sort((a, b) => b.size - a.size)
+            .map(withPages);
+        const uncompressedAssets = ok
+            .filter(asset => this.isCompressible(asset) && !asset.encoding && asset.size >= this.options.minCompressibleSize)
+            .map(withPages);
+        const uncachedAssets = ok.filter(asset => !asset.cacheable).map(withPages);
+        const failedAssets = checked.filter(asset => !asset.ok).map(withPages);
+        const mixedContent = pages.flatMap(page => page.mixedContent.map(asset => ({ page: page.url, asset })));
+
+        const categories = {};
+        checked.forEach(asset => {
+            const category = categories[asset.category] || (categories[asset.category] = { count: 0, size: 0 });
+            category.count++;
+            category.size += asset.size || 0;
+        });
+
+        return {
+            summary: {
+                totalAssets: assets.length,
+                checkedAssets: checked.length,
+                totalAssetSize: checked.reduce((sum, asset) => sum + (asset.size || 0), 0),
+                failedAssets: failedAssets.length,
+                oversizedImages: oversizedImages.length,
+                uncompressedAssets: uncompressedAssets.length,
+                uncachedAssets: uncachedAssets.length,
+                mixedContent: mixedContent.length
+            },
+            categories,
+            maxImageSize: this.options.maxImageSize,
+            pages,
+            heaviestPages: pages.slice().sort((a, b) => b.totalSize - a.totalSize).slice(0, this.options.heaviestPagesLimit),
+            assets: assets.map(withPages),
+            oversizedImages,
+            uncompressedAssets,
+            uncachedAssets,
+            failedAssets,
+            mixedContent
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ResourceAuditor, getResourceCategory, isCacheable, formatSize, COMPRESSIBLE_TYPES };
+}
@@ -0,0 +1,321 @@
+// Профили обхода для повторяющихся запусков: стартовый URL, настройки, расписание и условия оповещений.
+// Профиль сохраняется из интерфейса или пишется вручную. Запускается через node cli.js --profile <файл>
+// (например, из системного cron) или демоном daemon.js по расписанию из самого профиля.
+//
+// Профиль: { version, name, startUrl, config, schedule, alerts: { rules, channels }, output }
+//   output   - необязательный файл результатов каждого запуска (формат по расширению, как --output)
+//   schedule - { interval: '30m' | '6h' | '1d' } или { cron: '0 3 * * 1-5' } (местное время), null - только вручную
+//   rules    - { type: 'new_errors' } - новые страницы с кодом 4xx/5xx
+//              { type: 'page_count_drop', percent: 20 } - страниц меньше, чем в прошлый раз, на percent% и больше
+//              { type: 'title_changed', pages: ['/', '/pricing'] } - сменился title ключевых страниц (шаблоны как в includePatterns)
+//   channels - { type: 'webhook', url } | { type: 'email', smtp, password, from, to, insecure } | { type: 'log', path }
+//              (отправка в notifier.js; пароли можно задавать как "env:ИМЯ")
+
+const ALERT_RULE_TYPES = ['new_errors', 'page_count_drop', 'title_changed'];
+const ALERT_CHANNEL_TYPES = ['webhook', 'email', 'log'];
+
+const INTERVAL_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Поля cron: минута, час, день месяца, месяц, день недели. name - ключ schedule.field.* в i18n.js
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'weekday', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const CRON_MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+// Тексты ошибок и описаний - из i18n.js, на языке интерфейса
+function translate(key, params) {
+    const i18n = typeof module !== 'undefined' && module.exports ? require('./i18n.js') : { t };
+    return i18n.t(key, params);
+}
+
+// "30m", "6h", "1d" в миллисекунды
+function parseInterval(text) {
+    const match = String(text).trim().toLowerCase().match(/^(\d+)\s*([mhd])$/);
+    if (!match || parseInt(match[1]) === 0) {
+        throw new Error(translate('schedule.invalidInterval', { text }));
+    }
+    return parseInt(match[1]) * INTERVAL_UNITS[match[2]];
+}
+
+function parseCronValue(value, field) {
+    const index = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+    if (index >= 0) return index + (field.name === 'month' ? 1 : 0);
+
+    const number = /^\d+$/.test(value) ? parseInt(value) : NaN;
+    if (isNaN(number) || number < field.min || number > field.max) {
+        throw new Error(translate('schedule.invalidValue', { field: translate(`schedule.field.${field.name}`), value }));
+    }
+    return number;
+}
+
+// "*", "*/15", "1-5", "1,15", "mon-fri" - в множество значений поля
+function parseCronField(text, field) {
+    const values = new Set();
+
+    text.split(',').forEach(part => {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText);
+        if (!(step > 0)) {
+            throw new Error(translate('schedule.invalidStep', { field: translate(`schedule.field.${field.name}`), part }));
+        }
+
+        let from = field.min;
+        let to = field.max;
+        if (range !== '*') {
+            const bounds = range.split('-');
+            from = parseCronValue(bounds[0], field);
+            // "5/10" - с пятого до конца с шагом 10
+            to = bounds.length > 1 ? parseCronValue(bounds[1], field) : (stepText === undefined ? from : field.max);
+            if (from > to) {
+                throw new Error(translate('schedule.reversedRange', { field: translate(`schedule.field.${field.name}`), range }));
+            }
+        }
+
+        for (let value = from; value <= to; value += step) {
+            values.add(value);
+        }
+    });
+
+    return values;
+}
+
+function parseCronExpression(expression) {
+    const source = CRON_MACROS[String(expression).trim().toLowerCase()] || String(expression).trim();
+    const parts = source.split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(translate('schedule.cronFieldCount', { expression }));
+    }
+
+    try {
+        const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+        // 7 - тоже воскресенье
+        if (weekdays.delete(7)) weekdays.add(0);
+
+        return {
+            minutes, hours, days, months, weekdays,
+            // Как в cron: если заданы и день месяца, и день недели, подходит любой из них
+            anyDay: parts[2].startsWith('*'),
+            anyWeekday: parts[4].startsWith('*')
+        };
+    } catch (error) {
+        throw new Error(translate('schedule.cronInvalid', { expression, message: error.message }));
+    }
+}
+
+function cronDayMatches(cron, date) {
+    const dayMatches = cron.days.has(date.getDate());
+    const weekdayMatches = cron.weekdays.has(date.getDay());
+    if (cron.anyDay) return weekdayMatches;
+    if (cron.anyWeekday) return dayMatches;
+    return dayMatches || weekdayMatches;
+}
+
+// Ближайшая минута позже after, подходящая под выражение
+function getNextCronTime(cron, after) {
+    const date = new Date(after);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    // Выражение вроде "0 0 31 2 *" не сработает никогда - ищем не дальше нескольких лет
+    const limit = after + 5 * 366 * INTERVAL_UNITS.d;
+    while (date.getTime() <= limit) {
+        if (!cron.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!cronDayMatches(cron, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!cron.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!cron.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+            return date.getTime();
+        }
+    }
+    return null;
+}
+
+function validateSchedule(schedule) {
+    if (!schedule) return;
+    if (schedule.interval && schedule.cron) {
+        throw new Error(translate('schedule.bothKinds'));
+    }
+    if (schedule.interval) {
+        parseInterval(schedule.interval);
+    } else if (schedule.cron) {
+        if (getNextCronTime(parseCronExpression(schedule.cron), Date.now()) === null) {
+            throw new Error(translate('schedule.cronNever', { expression: schedule.cron }));
+        }
+    } else {
+        throw new Error(translate('schedule.noKind'));
+    }
+}
+
+// Время следующего запуска. lastRun - время прошлого запуска или null.
+// Пропущенный (пока демон не работал) запуск выполняется сразу, но только один раз
+function getNextRunTime(schedule, lastRun, now = Date.now()) {
+    if (!schedule) return null;
+
+    if (schedule.interval) {
+        return lastRun ? Math.max(lastRun + parseInterval(schedule.interval), now) : now;
+    }
+
+    const next = getNextCronTime(parseCronExpression(schedule.cron), lastRun || now);
+    return next === null ? null : Math.max(next, now);
+}
+
+function describeSchedule(schedule) {
+    if (!schedule) return translate('schedule.manual');
+    return schedule.interval
+        ? translate('schedule.interval', { interval: schedule.interval })
+        : translate('schedule.cron', { cron: schedule.cron });
+}
+
+// Строка из формы: "6h", "30m" - интервал, иначе cron-выражение; пустая - без расписания
+function parseScheduleText(text) {
+    const value = String(text || '').trim();
+    if (!value) return null;
+    const schedule = /^\d+\s*[mhd]$/i.test(value) ? { interval: value.toLowerCase().replace(/\s+/g, '') } : { cron: value };
+    validateSchedule(schedule);
+    return schedule;
+}
+
+function validateAlertRule(rule, index) {
+    const label = translate('schedule.ruleLabel', { index: index + 1 });
+    if (!ALERT_RULE_TYPES.includes(rule.type)) {
+        throw new Error(translate('schedule.unknownType', { label, type: rule.type, allowed: ALERT_RULE_TYPES.join(', ') }));
+    }
+    if (rule.type === 'page_count_drop' && !(Number(rule.percent) > 0 && Number(rule.percent) <= 100)) {
+        throw new Error(translate('schedule.invalidPercent', { label }));
+    }
+    if (rule.type === 'title_changed' && rule.pages !== undefined && !Array.isArray(rule.pages)) {
+        throw new Error(translate('schedule.invalidPages', { label }));
+    }
+}
+
+function validateAlertChannel(channel, index) {
+    const label = translate('schedule.channelLabel', { index: index + 1 });
+    if (!ALERT_CHANNEL_TYPES.includes(channel.type)) {
+        throw new Error(translate('schedule.unknownType', { label, type: channel.type, allowed: ALERT_CHANNEL_TYPES.join(', ') }));
+    }
+    if (channel.type === 'webhook' && !channel.url) throw new Error(translate('schedule.missingField', { label, field: 'url' }));
+    if (channel.type === 'log' && !channel.path) throw new Error(translate('schedule.missingField', { label, field: 'path' }));
+    if (channel.type === 'email') {
+        if (!channel.smtp) throw new Error(translate('schedule.missingSmtp', { label }));
+        const to = Array.isArray(channel.to) ? channel.to : [channel.to].filter(Boolean);
+        if (to.length === 0) throw new Error(translate('schedule.missingRecipient', { label }));
+    }
+}
+
+// Имя профиля попадает в имена файлов состояния - только буквы, цифры, точка, - и _
+function normalizeProfileName(name) {
+    return String(name || '').trim().replace(/[^\p{L}\p{N}._-]+/gu, '-').replace(/^[.-]+|[.-]+$/g, '');
+}
+
+// fallbackName - имя файла профиля, если в нем нет name
+function parseProfile(data, fallbackName = '') {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error(translate('schedule.profileNotObject'));
+    }
+    if (!data.startUrl) {
+        throw new Error(translate('schedule.profileNoStartUrl'));
+    }
+    try {
+        new URL(data.startUrl);
+    } catch (error) {
+        throw new Error(translate('schedule.profileInvalidStartUrl', { url: data.startUrl }));
+    }
+
+    const name = normalizeProfileName(data.name || fallbackName);
+    if (!name) {
+        throw new Error(translate('schedule.profileNoName'));
+    }
+
+    const alerts = data.alerts || {};
+    const rules = alerts.rules || [];
+    const channels = alerts.channels || [];
+    if (!Array.isArray(rules) || !Array.isArray(channels)) {
+        throw new Error(translate('schedule.alertsNotLists'));
+    }
+    rules.forEach(validateAlertRule);
+    channels.forEach(validateAlertChannel);
+
+    const schedule = data.schedule || null;
+    validateSchedule(schedule);
+
+    return {
+        version: 1,
+        name,
+        startUrl: data.startUrl,
+        config: { ...(data.config || {}) },
+        schedule,
+        alerts: { rules, channels },
+        ...(data.output ? { output: String(data.output) } : {})
+    };
+}
+
+function serializeProfile(profile) {
+    return JSON.stringify({ version: 1, ...profile }, null, 2);
+}
+
+function isErrorStatus(status) {
+    return Number(status) >= 400;
+}
+
+// Условия оповещений по сравнению с прошлым обходом (diffCrawlResults из crawl-diff.js).
+// matchesPage(url, pattern) сравнивает URL с шаблоном ключевой страницы.
+// Результат: [{ type, message, items }] - сработавшие условия
+function evaluateAlerts(rules, diff, matchesPage) {
+    const alerts = [];
+
+    rules.forEach(rule => {
+        if (rule.type === 'new_errors') {
+            const items = [
+                ...diff.newPages.filter(page => isErrorStatus(page.status)).map(page => ({ url: page.url, before: null, after: page.status })),
+                ...diff.statusChanges.filter(change => isErrorStatus(change.after) && !isErrorStatus(change.before))
+            ];
+            if (items.length > 0) {
+                alerts.push({ type: rule.type, message: translate('alert.newErrors', { count: items.length }), items });
+            }
+        } else if (rule.type === 'page_count_drop') {
+            const drop = diff.previousTotal > 0 ? (diff.previousTotal - diff.currentTotal) / diff.previousTotal * 100 : 0;
+            if (drop >= Number(rule.percent)) {
+                alerts.push({
+                    type: rule.type,
+                    message: translate('alert.pageCountDrop', {
+                        drop: Math.round(drop), before: diff.previousTotal, after: diff.currentTotal, percent: rule.percent
+                    }),
+                    items: diff.removedPages
+                });
+            }
+        } else if (rule.type === 'title_changed') {
+            const pages = rule.pages || [];
+            const items = diff.contentChanges
+                .filter(change => change.field === 'title')
+                .filter(change => pages.length === 0 || pages.some(pattern => matchesPage(change.url, pattern)));
+            if (items.length > 0) {
+                alerts.push({ type: rule.type, message: translate('alert.titleChanged', { count: items.length }), items });
+            }
+        }
+    });
+
+    return alerts;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseProfile, serializeProfile, parseInterval, parseCronExpression, getNextCronTime, getNextRunTime,
+        parseScheduleText, describeSchedule, validateSchedule, evaluateAlerts, ALERT_RULE_TYPES, ALERT_CHANNEL_TYPES
+    };
+}
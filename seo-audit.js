@@ -0,0 +1,216 @@
+// SEO-аудит страниц: подключается к краулеру через crawler.use(new SeoAuditor())
+// и разбирает каждую загруженную HTML-страницу по событию 'page'.
+
+const SEO_ISSUE_MESSAGES = {
+    title_missing: 'Нет тега <title>',
+    title_too_long: 'Слишком длинный title',
+    title_duplicate: 'Title повторяется на других страницах',
+    description_missing: 'Нет meta description',
+    description_too_long: 'Слишком длинный meta description',
+    description_duplicate: 'Description повторяется на других страницах',
+    h1_missing: 'Нет заголовка h1',
+    h1_multiple: 'Несколько заголовков h1',
+    canonical_mismatch: 'Canonical указывает на другой URL',
+    canonical_broken: 'Canonical указывает на недоступную страницу',
+    images_missing_alt: 'Изображения без alt'
+};
+
+class SeoAuditor {
+    constructor(options = {}) {
+        this.name = 'seo';
+        this.options = {
+            maxTitleLength: 60,
+            maxDescriptionLength: 160,
+            ...options
+        };
+        this.crawler = null;
+        this.pages = new Map();
+    }
+
+    attach(crawler) {
+        this.crawler = crawler;
+        crawler.on('page', page => {
+            if (!crawler.config.seoAudit) return;
+
+            const document = page.getDocument();
+            if (document) {
+                this.pages.set(page.url, this.auditPage(document, page));
+            }
+        });
+    }
+
+    isEnabled() {
+        return Boolean(this.crawler && this.crawler.config.seoAudit);
+    }
+
+    reset() {
+        this.pages.clear();
+    }
+
+    exportState() {
+        return Array.from(this.pages.values());
+    }
+
+    restoreState(pages) {
+        this.pages = new Map(pages.map(page => [page.url, page]));
+    }
+
+    auditPage(document, page) {
+        const pageUrl = page.finalUrl || page.url;
+        // Имя meta сравниваем без учета регистра вручную: флаг [name="..." i] поддерживается не везде
+        const getMeta = name => {
+            const element = Array.from(document.querySelectorAll('meta[name]'))
+                .find(meta => meta.getAttribute('name').trim().toLowerCase() === name);
+            return element ? (element.getAttribute('content') || '').trim() : null;
+        };
+        const resolveUrl = href => {
+            try {
+                return new URL(href, pageUrl).href;
+            } catch {
+                return href;
+            }
+        };
+
+        const titleElement = document.querySelector('title');
+        const title = titleElement ? titleElement.textContent.replace(/\s+/g, ' ').trim() : null;
+        const canonicalElement = document.querySelector('link[rel~="canonical"]');
+        const canonical = canonicalElement && canonicalElement.getAttribute('href')
+            ? resolveUrl(canonicalElement.getAttribute('href'))
+            : null;
+        const h1s = Array.from(document.querySelectorAll('h1'))
+            .map(h1 => h1.textContent.replace(/\s+/g, ' ').trim());
+
+        const openGraph = {};
+        document.querySelectorAll('meta[property^="og:"]').forEach(meta => {
+            openGraph[meta.getAttribute('property')] = meta.getAttribute('content') || '';
+        });
+
+        const hreflang = Array.from(document.querySelectorAll('link[rel~="alternate"][hreflang]'))
+            .map(link => ({ lang: link.getAttribute('hreflang'), href: resolveUrl(link.getAttribute('href') || '') }));
+
+        // alt="" допустим для декоративных картинок, ошибка - только отсутствие атрибута
+        const imagesWithoutAlt = Array.from(document.querySelectorAll('img:not([alt])'))
+            .map(img => resolveUrl(img.getAttribute('src') || ''));
+
+        const audit = {
+            url: page.url,
+            title,
+            titleLength: title ? title.length : 0,
+            metaDescription: getMeta('description'),
+            canonical,
+            h1Count: h1s.length,
+            h1: h1s,
+            metaRobots: getMeta('robots'),
+            hreflang,
+            openGraph,
+            wordCount: this.countWords(document.body),
+            imagesWithoutAlt,
+            issues: []
+        };
+        audit.descriptionLength = audit.metaDescription ? audit.metaDescription.length : 0;
+
+        this.collectPageIssues(audit, pageUrl);
+        return audit;
+    }
+
+    collectPageIssues(audit, pageUrl) {
+        const addIssue = code => audit.issues.push(code);
+
+        if (!audit.title) {
+            addIssue('title_missing');
+        } else if (audit.titleLength > this.options.maxTitleLength) {
+            addIssue('title_too_long');
+        }
+
+        if (!audit.metaDescription) {
+            addIssue('description_missing');
+        } else if (audit.descriptionLength > this.options.maxDescriptionLength) {
+            addIssue('description_too_long');
+        }
+
+        if (audit.h1Count === 0) addIssue('h1_missing');
+        if (audit.h1Count > 1) addIssue('h1_multiple');
+
+        if (audit.canonical &&
+            this.crawler.normalizeUrl(audit.canonical) !== this.crawler.normalizeUrl(pageUrl)) {
+            addIssue('canonical_mismatch');
+        }
+
+        if (audit.imagesWithoutAlt.length > 0) addIssue('images_missing_alt');
+    }
+
+    // Видимый текст без скриптов и стилей; документ не изменяем - его читают и другие подписчики
+    countWords(root) {
+        if (!root) return 0;
+
+        const skipTags = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG'];
+        const parts = [];
+        const walk = node => {
+            node.childNodes.forEach(child => {
+                if (child.nodeType === 3) {
+                    parts.push(child.textContent);
+                } else if (child.nodeType === 1 && !skipTags.includes(child.tagName.toUpperCase())) {
+                    walk(child);
+                }
+            });
+        };
+        walk(root);
+
+        const words = parts.join(' ').match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu);
+        return words ? words.length : 0;
+    }
+
+    // Одинаковые значения поля на разных страницах: [{ value, urls }]
+    findDuplicates(field) {
+        const groups = new Map();
+
+        this.pages.forEach(page => {
+            const value = page[field];
+            if (!value) return;
+
+            const key = value.toLowerCase();
+            if (!groups.has(key)) groups.set(key, { value, urls: [] });
+            groups.get(key).urls.push(page.url);
+        });
+
+        return Array.from(groups.values())
+            .filter(group => group.urls.length > 1)
+            .sort((a, b) => b.urls.length - a.urls.length);
+    }
+
+    getResults() {
+        const duplicateTitles = this.findDuplicates('title');
+        const duplicateDescriptions = this.findDuplicates('metaDescription');
+        const duplicateTitleUrls = new Set(duplicateTitles.flatMap(group => group.urls));
+        const duplicateDescriptionUrls = new Set(duplicateDescriptions.flatMap(group => group.urls));
+
+        // Сайтовые проверки дополняют постраничные, исходные записи не меняем
+        const pages = Array.from(this.pages.values()).map(page => {
+            const issues = [...page.issues];
+            if (duplicateTitleUrls.has(page.url)) issues.push('title_duplicate');
+            if (duplicateDescriptionUrls.has(page.url)) issues.push('description_duplicate');
+            if (page.canonical && this.crawler.failedUrls.has(this.crawler.normalizeUrl(page.canonical))) {
+                issues.push('canonical_broken');
+            }
+            return { ...page, issues };
+        });
+
+        const issueCounts = {};
+        pages.forEach(page => {
+            page.issues.forEach(code => {
+                issueCounts[code] = (issueCounts[code] || 0) + 1;
+            });
+        });
+
+        return {
+            pages,
+            issueCounts,
+            duplicateTitles,
+            duplicateDescriptions
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeoAuditor, SEO_ISSUE_MESSAGES };
+}
@@ -0,0 +1,149 @@
+// Хранилища сессий краулера для продолжения прерванного сбора.
+// Оба хранилища реализуют один интерфейс: save(state), load(id), list(), delete(id).
+
+function summarizeSession(state) {
+    return {
+        id: state.sessionId,
+        startUrl: state.startUrl,
+        status: state.status,
+        savedAt: state.savedAt,
+        visited: state.visitedUrls.length,
+        queued: state.queue.length,
+        failed: state.failedUrls.length,
+        maxPages: state.config.maxPages
+    };
+}
+
+// Браузер: IndexedDB. Краткие сводки хранятся отдельно, чтобы список не читал полные снимки
+class IndexedDbSessionStore {
+    constructor(dbName = 'professional-web-crawler') {
+        this.dbName = dbName;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('sessions', { keyPath: 'sessionId' });
+                    db.createObjectStore('summaries', { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async transaction(mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(['sessions', 'summaries'], mode);
+            let result;
+
+            Promise.resolve(callback(tx.objectStore('sessions'), tx.objectStore('summaries')))
+                .then(value => { result = value; });
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    save(state) {
+        return this.transaction('readwrite', (sessions, summaries) => {
+            sessions.put(state);
+            summaries.put(summarizeSession(state));
+        });
+    }
+
+    load(id) {
+        return this.transaction('readonly', sessions => this.requestToPromise(sessions.get(id)));
+    }
+
+    async list() {
+        const summaries = await this.transaction('readonly', (sessions, summaries) =>
+            this.requestToPromise(summaries.getAll()));
+        return (summaries || []).sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    delete(id) {
+        return this.transaction('readwrite', (sessions, summaries) => {
+            sessions.delete(id);
+            summaries.delete(id);
+        });
+    }
+}
+
+// Node.js: один JSON-файл на сессию в указанной папке
+class FileSessionStore {
+    constructor(directory = '.crawler-sessions') {
+        this.fs = require('fs');
+        this.path = require('path');
+        this.directory = directory;
+    }
+
+    filePath(id) {
+        // id приходит из командной строки - не даем выйти за пределы папки
+        return this.path.join(this.directory, `${this.path.basename(String(id))}.json`);
+    }
+
+    async save(state) {
+        await this.fs.promises.mkdir(this.directory, { recursive: true });
+
+        // Пишем во временный файл и переименовываем, чтобы не оставить битый снимок
+        const target = this.filePath(state.sessionId);
+        const temporary = `${target}.tmp`;
+        await this.fs.promises.writeFile(temporary, JSON.stringify(state));
+        await this.fs.promises.rename(temporary, target);
+    }
+
+    async load(id) {
+        try {
+            return JSON.parse(await this.fs.promises.readFile(this.filePath(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async list() {
+        let files;
+        try {
+            files = await this.fs.promises.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const summaries = [];
+        for (const file of files.filter(name => name.endsWith('.json'))) {
+            const state = await this.load(file.slice(0, -'.json'.length));
+            if (state) summaries.push(summarizeSession(state));
+        }
+
+        return summaries.sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    async delete(id) {
+        try {
+            await this.fs.promises.unlink(this.filePath(id));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IndexedDbSessionStore, FileSessionStore, summarizeSession };
+}
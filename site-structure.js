@@ -0,0 +1,301 @@
+// Структура сайта по результатам обхода: дерево папок URL и раскладка графа ссылок.
+// Используется интерфейсом (интерактивные виды) и экспортом в SVG.
+
+const STATUS_COLORS = {
+    ok: '#28a745',
+    redirect: '#6f42c1',
+    error: '#dc3545'
+};
+
+// status null - страница без ответа сервера
+function getStatusColor(node) {
+    if (!node.status) return STATUS_COLORS.error;
+    if (node.redirected || (node.status >= 300 && node.status < 400)) return STATUS_COLORS.redirect;
+    return node.status < 300 ? STATUS_COLORS.ok : STATUS_COLORS.error;
+}
+
+// Площадь узла растет вместе с числом входящих ссылок
+function getNodeRadius(node) {
+    return Math.min(4 + Math.sqrt(node.inbound) * 2, 24);
+}
+
+function xmlText(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Дерево папок: { name, path, url, status, pageCount, children }.
+// pageCount - число страниц в папке вместе с вложенными
+function buildUrlTree(pages) {
+    const root = { name: '', path: '', url: null, status: null, pageCount: 0, children: [] };
+
+    const getChild = (parent, name, path) => {
+        let child = parent.children.find(node => node.name === name);
+        if (!child) {
+            child = { name, path, url: null, status: null, pageCount: 0, children: [] };
+            parent.children.push(child);
+        }
+        return child;
+    };
+
+    pages.forEach(page => {
+        let urlObj;
+        try {
+            urlObj = new URL(page.url);
+        } catch {
+            return;
+        }
+
+        const segments = urlObj.pathname.split('/').filter(Boolean);
+        if (urlObj.search) {
+            // Страницы с параметрами - отдельные листья внутри своей папки
+            segments.push((segments.pop() || '') + urlObj.search);
+        }
+
+        // Первый уровень - хост: при обходе поддоменов их несколько
+        let node = getChild(root, urlObj.host, `${urlObj.protocol}//${urlObj.host}`);
+        root.pageCount++;
+        node.pageCount++;
+        segments.forEach(segment => {
+            node = getChild(node, segment, `${node.path}/${segment}`);
+            node.pageCount++;
+        });
+
+        node.url = page.url;
+        node.status = page.status || null;
+        node.redirected = Boolean(page.finalUrl && page.finalUrl !== page.url);
+    });
+
+    const sortTree = node => {
+        node.children.sort((a, b) => b.children.length - a.children.length || a.name.localeCompare(b.name));
+        node.children.forEach(sortTree);
+    };
+    sortTree(root);
+
+    return root;
+}
+
+// Силовая раскладка: узлы отталкиваются, ребра притягивают, depthRings
+// тянет страницы на окружность своего уровня глубины.
+// Отталкивание считается только между соседними ячейками сетки, чтобы граф из тысяч
+// страниц укладывался без квадратичного перебора всех пар
+class ForceLayout {
+    constructor(graph, options = {}) {
+        this.options = {
+            width: 900,
+            height: 600,
+            linkDistance: 40,
+            repulsion: 900,
+            cutoff: 150,
+            depthRings: false,
+            // По умолчанию самый глубокий уровень ложится на край области
+            ringSpacing: null,
+            ...options
+        };
+        if (!this.options.ringSpacing) {
+            const maxDepth = Math.max(1, ...graph.nodes.map(node => node.depth || 0));
+            this.options.ringSpacing = Math.max(30, Math.min(this.options.width, this.options.height) / 2 / maxDepth);
+        }
+        this.edges = graph.edges;
+        this.nodes = graph.nodes.map((node, index) => {
+            // Начальная раскладка по спирали: без случайности картинка воспроизводима
+            const angle = index * 2.39996;
+            const distance = 10 * Math.sqrt(index);
+            return {
+                ...node,
+                x: this.options.width / 2 + Math.cos(angle) * distance,
+                y: this.options.height / 2 + Math.sin(angle) * distance,
+                vx: 0,
+                vy: 0,
+                fixed: false
+            };
+        });
+        this.nodesById = new Map(this.nodes.map(node => [node.id, node]));
+        this.temperature = 1;
+    }
+
+    applyRepulsion() {
+        const { cutoff, repulsion } = this.options;
+        const grid = new Map();
+        const cellKey = (x, y) => `${x},${y}`;
+
+        this.nodes.forEach(node => {
+            const key = cellKey(Math.floor(node.x / cutoff), Math.floor(node.y / cutoff));
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push(node);
+        });
+
+        this.nodes.forEach(node => {
+            const cellX = Math.floor(node.x / cutoff);
+            const cellY = Math.floor(node.y / cutoff);
+
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    (grid.get(cellKey(cellX + dx, cellY + dy)) || []).forEach(other => {
+                        if (other === node) return;
+
+                        let distX = node.x - other.x;
+                        let distY = node.y - other.y;
+                        let distSq = distX * distX + distY * distY;
+                        if (distSq === 0) {
+                            distX = Math.random() - 0.5;
+                            distY = Math.random() - 0.5;
+                            distSq = distX * distX + distY * distY;
+                        }
+                        if (distSq > cutoff * cutoff) return;
+
+                        const force = repulsion / distSq;
+                        const dist = Math.sqrt(distSq);
+                        node.vx += (distX / dist) * force;
+                        node.vy += (distY / dist) * force;
+                    });
+                }
+            }
+        });
+    }
+
+    applyLinks() {
+        this.edges.forEach(edge => {
+            const source = this.nodesById.get(edge.source);
+            const target = this.nodesById.get(edge.target);
+            if (!source || !target) return;
+
+            const distX = target.x - source.x;
+            const distY = target.y - source.y;
+            const dist = Math.sqrt(distX * distX + distY * distY) || 1;
+            const force = (dist - this.options.linkDistance) * 0.02;
+            const fx = (distX / dist) * force;
+            const fy = (distY / dist) * force;
+
+            source.vx += fx;
+            source.vy += fy;
+            target.vx -= fx;
+            target.vy -= fy;
+        });
+    }
+
+    applyCentering() {
+        const centerX = this.options.width / 2;
+        const centerY = this.options.height / 2;
+
+        this.nodes.forEach(node => {
+            const distX = node.x - centerX;
+            const distY = node.y - centerY;
+
+            if (this.options.depthRings && node.depth !== null) {
+                // Радиус окружности = глубина в кликах; стартовая страница в центре
+                const dist = Math.sqrt(distX * distX + distY * distY) || 1;
+                const force = (node.depth * this.options.ringSpacing - dist) * 0.1;
+                node.vx += (distX / dist) * force;
+                node.vy += (distY / dist) * force;
+            } else {
+                node.vx -= distX * 0.005;
+                node.vy -= distY * 0.005;
+            }
+        });
+    }
+
+    // Один шаг симуляции; возвращает суммарное смещение, чтобы знать, когда остановиться
+    step() {
+        this.applyRepulsion();
+        this.applyLinks();
+        this.applyCentering();
+
+        let movement = 0;
+        const maxStep = 30 * this.temperature + 1;
+        this.nodes.forEach(node => {
+            if (node.fixed) {
+                node.vx = 0;
+                node.vy = 0;
+                return;
+            }
+
+            const speed = Math.sqrt(node.vx * node.vx + node.vy * node.vy);
+            const scale = speed > maxStep ? maxStep / speed : 1;
+            node.x += node.vx * scale;
+            node.y += node.vy * scale;
+            movement += speed * scale;
+            node.vx *= 0.5;
+            node.vy *= 0.5;
+        });
+
+        this.temperature = Math.max(0, this.temperature - 0.005);
+        return movement;
+    }
+
+    run(iterations = 300) {
+        for (let i = 0; i < iterations; i++) {
+            this.step();
+        }
+        return this;
+    }
+
+    // Прямоугольник, в который помещаются все узлы, с отступом
+    getBounds(padding = 30) {
+        if (this.nodes.length === 0) return { x: 0, y: 0, width: this.options.width, height: this.options.height };
+
+        const xs = this.nodes.map(node => node.x);
+        const ys = this.nodes.map(node => node.y);
+        const minX = Math.min(...xs) - padding;
+        const minY = Math.min(...ys) - padding;
+        return {
+            x: minX,
+            y: minY,
+            width: Math.max(...xs) + padding - minX,
+            height: Math.max(...ys) + padding - minY
+        };
+    }
+}
+
+function linkGraphToSVG(layout) {
+    const bounds = layout.getBounds();
+    const lines = layout.edges.map(edge => {
+        const source = layout.nodesById.get(edge.source);
+        const target = layout.nodesById.get(edge.target);
+        if (!source || !target) return '';
+        return `<line x1="${source.x.toFixed(1)}" y1="${source.y.toFixed(1)}" x2="${target.x.toFixed(1)}" y2="${target.y.toFixed(1)}"/>`;
+    }).join('');
+    const circles = layout.nodes.map(node =>
+        `<circle cx="${node.x.toFixed(1)}" cy="${node.y.toFixed(1)}" r="${getNodeRadius(node).toFixed(1)}" fill="${getStatusColor(node)}"><title>${xmlText(node.id)}</title></circle>`
+    ).join('');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${bounds.x.toFixed(0)} ${bounds.y.toFixed(0)} ${bounds.width.toFixed(0)} ${bounds.height.toFixed(0)}" width="${bounds.width.toFixed(0)}" height="${bounds.height.toFixed(0)}">` +
+        `<rect x="${bounds.x.toFixed(0)}" y="${bounds.y.toFixed(0)}" width="100%" height="100%" fill="#ffffff"/>` +
+        `<g stroke="#ced4da" stroke-opacity="0.7">${lines}</g>` +
+        `<g stroke="#ffffff" stroke-width="1">${circles}</g></svg>`;
+}
+
+// Дерево целиком, все папки раскрыты: одна строка на узел
+function urlTreeToSVG(tree) {
+    const rows = [];
+    const walk = (node, level) => {
+        node.children.forEach(child => {
+            rows.push({ node: child, level });
+            walk(child, level + 1);
+        });
+    };
+    walk(tree, 0);
+
+    const rowHeight = 20;
+    const width = 900;
+    const height = rows.length * rowHeight + 20;
+    const text = rows.map(({ node, level }, index) => {
+        const y = 20 + index * rowHeight;
+        const x = 10 + level * 18;
+        const color = node.url ? getStatusColor(node) : '#495057';
+        const label = node.children.length > 0 ? `${node.name}/ (${node.pageCount})` : node.name;
+        return `<circle cx="${x + 4}" cy="${y - 4}" r="4" fill="${color}"/>` +
+            `<text x="${x + 14}" y="${y}">${xmlText(label)}</text>`;
+    }).join('');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+        `<rect width="100%" height="100%" fill="#ffffff"/>` +
+        `<g font-family="sans-serif" font-size="13" fill="#212529">${text}</g></svg>`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { buildUrlTree, ForceLayout, linkGraphToSVG, urlTreeToSVG, getStatusColor, getNodeRadius, STATUS_COLORS };
+}
@@ -0,0 +1,196 @@
+// Транспорты HTTP-запросов краулера: напрямую, через прокси по шаблону URL
+// или через локальный прокси из proxy-server.js. TransportPool выбирает исправный транспорт,
+// повторяет сетевые ошибки с экспоненциальной задержкой и ведет статистику исправности.
+
+// Напрямую: в Node.js всегда, в браузере - только для сайтов, разрешивших CORS
+class DirectTransport {
+    constructor() {
+        this.name = 'direct';
+    }
+
+    request(url, init) {
+        return fetch(url, init);
+    }
+}
+
+// Публичный или собственный прокси. В шаблоне {url} заменяется на адрес как есть,
+// {encodedUrl} - на закодированный: https://proxy.example/?url={encodedUrl}
+class ProxyTransport {
+    constructor(template) {
+        if (!template.includes('{url}') && !template.includes('{encodedUrl}')) {
+            const i18n = typeof module !== 'undefined' && module.exports ? require('./i18n.js') : { t };
+            throw new Error(i18n.t('transport.invalidTemplate', { template }));
+        }
+
+        this.name = template;
+        this.template = template;
+    }
+
+    buildUrl(url) {
+        return this.template
+            .replace('{encodedUrl}', encodeURIComponent(url))
+            .replace('{url}', url);
+    }
+
+    request(url, init) {
+        return fetch(this.buildUrl(url), init);
+    }
+}
+
+// Локальный прокси (proxy-server.js) передает заголовки и код ответа без искажений:
+// браузер не скрывает от него редиректы и не запрещает менять User-Agent
+class LocalProxyTransport {
+    constructor(baseUrl, token = '') {
+        this.name = `local ${baseUrl}`;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.token = token;
+    }
+
+    async request(url, init) {
+        const params = new URLSearchParams({ url, method: init.method || 'GET', redirect: init.redirect || 'follow' });
+        const headers = this.token ? { 'X-Proxy-Token': this.token } : {};
+        Object.entries(init.headers || {}).forEach(([name, value]) => {
+            headers[`X-Forward-${name}`] = value;
+        });
+
+        const response = await fetch(`${this.baseUrl}/fetch?${params}`, { headers, signal: init.signal });
+        const status = parseInt(response.headers.get('x-proxy-status'));
+        if (isNaN(status)) {
+            // Ответ не от proxy-server.js - считаем его сбоем транспорта
+            const i18n = typeof module !== 'undefined' && module.exports ? require('./i18n.js') : { t };
+            throw new Error(i18n.t('transport.localProxyStatus', { status: response.status }));
+        }
+
+        const upstreamHeaders = new Headers(response.headers);
+        ['x-proxy-status', 'x-proxy-status-text'].forEach(name => upstreamHeaders.delete(name));
+
+        const body = [204, 205, 304].includes(status) || init.method === 'HEAD' ? null : await response.arrayBuffer();
+        return new Response(body, {
+            status,
+            statusText: decodeURIComponent(response.headers.get('x-proxy-status-text') || ''),
+            headers: upstreamHeaders
+        });
+    }
+}
+
+function createTransports(config) {
+    const i18n = typeof module !== 'undefined' && module.exports ? require('./i18n.js') : { t };
+    switch (config.transport) {
+        case 'proxy':
+            if (config.proxyTemplates.length === 0) {
+                throw new Error(i18n.t('transport.noTemplates'));
+            }
+            return config.proxyTemplates.map(template => new ProxyTransport(template));
+        case 'local-proxy':
+            return [new LocalProxyTransport(config.localProxyUrl, config.localProxyToken)];
+        case 'direct':
+            return [new DirectTransport()];
+        default:
+            throw new Error(i18n.t('transport.unknown', { transport: config.transport }));
+    }
+}
+
+class TransportPool {
+    // options: { retries, retryBaseDelay, failureThreshold, cooldown, onUnhealthy(name, error) }
+    constructor(transports, options = {}) {
+        this.transports = transports;
+        this.options = {
+            retries: 2,
+            retryBaseDelay: 500,
+            failureThreshold: 3,
+            cooldown: 60000,
+            onUnhealthy: () => {},
+            ...options
+        };
+        this.health = new Map(transports.map(transport => [transport, {
+            requests: 0,
+            failures: 0,
+            consecutiveFailures: 0,
+            disabledUntil: 0,
+            lastError: null
+        }]));
+    }
+
+    // Транспорты после серии сбоев отдыхают cooldown мс; если отдыхают все - пробуем все
+    getAvailableTransports() {
+        const now = Date.now();
+        const available = this.transports.filter(transport => this.health.get(transport).disabledUntil <= now);
+        return available.length > 0 ? available : this.transports;
+    }
+
+    recordSuccess(transport) {
+        const health = this.health.get(transport);
+        health.requests++;
+        health.consecutiveFailures = 0;
+        health.disabledUntil = 0;
+    }
+
+    recordFailure(transport, error) {
+        const health = this.health.get(transport);
+        health.requests++;
+        health.failures++;
+        health.consecutiveFailures++;
+        health.lastError = error.message;
+
+        if (health.consecutiveFailures === this.options.failureThreshold) {
+            health.disabledUntil = Date.now() + this.options.cooldown;
+            this.options.onUnhealthy(transport.name, error);
+        }
+    }
+
+    // isAcceptable(response) - ответ, который не нужно перепроверять через другой транспорт.
+    // Ошибку HTTP мог вернуть сам прокси, поэтому пробуем следующий, но запоминаем ответ.
+    // Повторы с задержкой - только для сетевых сбоев и таймаутов
+    async request(url, init, { timeout, isAcceptable }) {
+        let lastResponse = null;
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= this.options.retries; attempt++) {
+            if (attempt > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.options.retryBaseDelay * 2 ** (attempt - 1)));
+            }
+
+            for (const transport of this.getAvailableTransports()) {
+                try {
+                    const response = await transport.request(url, { ...init, signal: AbortSignal.timeout(timeout) });
+                    this.recordSuccess(transport);
+
+                    if (isAcceptable(response)) return response;
+                    lastResponse = response;
+                } catch (error) {
+                    this.recordFailure(transport, error);
+                    lastError = error;
+                }
+            }
+
+            if (lastResponse) return lastResponse;
+        }
+
+        // code отличает сбой транспорта от прочих исключений: такие страницы краулер повторяет позже
+        const i18n = typeof module !== 'undefined' && module.exports ? require('./i18n.js') : { t };
+        const timedOut = lastError && lastError.name === 'TimeoutError';
+        const failure = new Error(timedOut
+            ? i18n.t('transport.timeout')
+            : this.transports.length > 1 ? i18n.t('transport.allFailed', { message: lastError.message }) : lastError.message);
+        failure.code = timedOut ? 'ETIMEDOUT' : 'ETRANSPORT';
+        failure.cause = lastError;
+        throw failure;
+    }
+
+    getHealthReport() {
+        return this.transports.map(transport => {
+            const health = this.health.get(transport);
+            return {
+                name: transport.name,
+                requests: health.requests,
+                failures: health.failures,
+                healthy: health.disabledUntil <= Date.now(),
+                lastError: health.lastError
+            };
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DirectTransport, ProxyTransport, LocalProxyTransport, TransportPool, createTransports };
+}